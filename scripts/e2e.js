@@ -0,0 +1,88 @@
+// scripts/e2e.js
+//
+// npm test 的入口：用 wrangler dev 起一个本地 Worker（打开测试用的 probe actor 和 /restart-router），
+// 跑完 test/run-all-tests.js 后再关掉。
+// 第二轮打开 GOLDFISH_DURABLE_QUEUES 再跑一次 test-durable-queues.js，覆盖重启后重放队列的路径。
+//
+// 用法：
+//   npm test                                     # 全部测试
+//   npm test -- test-redirect.js test-wait.js    # 只跑指定的脚本
+//   GOLDFISH_AUTH_SECRET=... npm test            # Worker 和测试脚本用同一个密钥，开启认证
+//
+// Worker 用单独的端口和本地存储目录，不会和正在运行的 npm run dev 冲突。
+import { spawn, spawnSync } from "child_process";
+
+const PORT = Number(process.env.E2E_PORT || 8788);
+const BASE_URL = `http://localhost:${PORT}`;
+const PERSIST_DIR = ".wrangler/e2e-state";
+
+// wrangler dev 就绪的最长等待时间
+const STARTUP_TIMEOUT_MS = 60_000;
+
+const DURABLE_TEST = "test-durable-queues.js";
+
+const files = process.argv.slice(2);
+
+const vars = { GOLDFISH_ENABLE_PROBE: "true" };
+if (process.env.GOLDFISH_AUTH_SECRET) {
+  vars.GOLDFISH_AUTH_SECRET = process.env.GOLDFISH_AUTH_SECRET;
+}
+
+const passes = [{ label: "wrangler.jsonc vars", vars, files }];
+if (files.length === 0 || files.includes(DURABLE_TEST)) {
+  passes.push({ label: "GOLDFISH_DURABLE_QUEUES=true", vars: { ...vars, GOLDFISH_DURABLE_QUEUES: "true" }, files: [DURABLE_TEST] });
+}
+
+for (const pass of passes) {
+  console.log(`\n##### Worker with ${pass.label} #####`);
+  const status = await withWorker(pass.vars, () => runTests(pass.files));
+  if (status !== 0) process.exit(status);
+}
+
+/**
+ * 带着给定的 vars 起 wrangler dev，等它能响应请求后执行 run，最后关掉 Worker
+ */
+async function withWorker(workerVars, run) {
+  const args = ["wrangler", "dev", "--port", String(PORT), "--persist-to", PERSIST_DIR];
+  for (const [name, value] of Object.entries(workerVars)) {
+    args.push("--var", `${name}:${value}`);
+  }
+
+  const worker = spawn("npx", ["--no-install", ...args], { stdio: ["ignore", "inherit", "inherit"], detached: true });
+  try {
+    await waitUntilReady(worker);
+    return run();
+  } finally {
+    // wrangler 会再起 workerd 子进程，按进程组一起结束
+    if (worker.exitCode === null) {
+      const exited = new Promise(resolve => worker.once("exit", resolve));
+      process.kill(-worker.pid, "SIGTERM");
+      await exited;
+    }
+  }
+}
+
+async function waitUntilReady(worker) {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (worker.exitCode !== null) {
+      throw new Error(`wrangler dev exited with code ${worker.exitCode}`);
+    }
+    try {
+      await fetch(`${BASE_URL}/board`);
+      return;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+  throw new Error(`wrangler dev did not start within ${STARTUP_TIMEOUT_MS} ms`);
+}
+
+function runTests(testFiles) {
+  const { status } = spawnSync(
+    process.execPath,
+    ["--experimental-vm-modules", "--experimental-websocket", "./test/run-all-tests.js", ...testFiles],
+    { stdio: "inherit", env: { ...process.env, BASE_URL } }
+  );
+  return status ?? 1;
+}
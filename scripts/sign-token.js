@@ -0,0 +1,26 @@
+// scripts/sign-token.js
+//
+// 签发一个 Worker API 用的 token（HS256 JWT）。
+//
+// 用法：
+//   GOLDFISH_AUTH_SECRET=... npm run token -- <role> <sub> [ttlSeconds]
+//
+//   npm run token -- teacher t1          # 老师 t1，默认 12 小时有效
+//   npm run token -- student s1 3600     # 学生 s1，1 小时有效
+//   npm run token -- admin ops           # 管理员（reset / dead-letters / router-policy）
+import { ROLES, signToken } from "../src/auth.js";
+
+const [role, sub, ttl = "43200"] = process.argv.slice(2);
+const secret = process.env.GOLDFISH_AUTH_SECRET;
+
+if (!secret) {
+  console.error("GOLDFISH_AUTH_SECRET is not set");
+  process.exit(1);
+}
+if (!ROLES.includes(role) || !sub) {
+  console.error(`Usage: npm run token -- <${ROLES.join("|")}> <sub> [ttlSeconds]`);
+  process.exit(1);
+}
+
+const nowSec = Math.floor(Date.now() / 1000);
+console.log(await signToken({ sub, role, iat: nowSec, exp: nowSec + Number(ttl) }, secret));
@@ -1,26 +1,41 @@
 // src/actor.js
+import { viewForCaller } from "./auth.js";
+import { ActorError } from "./errors.js";
+import { getActorType } from "./registry.js";
 
 /**
- * GoldfishActor: 多类型 Actor 实现，用于课堂抢答系统。
+ * GoldfishActor: 通用的 Actor 运行时，一个 Durable Object 实例对应一个 actorKey（"type:id"）。
  *
- * 支持的 actorType：
- *  - "teacher"  老师
- *  - "room"     房间（一个教室/一场活动）
- *  - "student"  学生
- *  - "question" 单个题目
+ * 具体有哪些 actorType、每种消息怎么处理，由应用通过 registry.js 注册；
+ * 课堂抢答系统见 quiz/，在 index.js 里作为一个 bundle 注册。
  *
  * 所有请求都来自 router.js：
- *  body: { actorType, actorId, payload }
+ *  body: { actorType, actorId, payload, callChain, idempotencyKey, caller }
+ *
+ * handler 抛出的异常不会让 /invoke 崩掉：memory 回滚，返回
+ *  { error: { code, message, actorKey } }（ActorError 用它自己的 code / status，其他为 HANDLER_ERROR / 500）
  *
  * 本文件做三件事：
  *  1. 初始化 / 恢复内存 memory
- *  2. 根据 actorType 分发到对应的 handleXxxMessage(...)
+ *  2. 根据 actorType + payload.type 分发到注册的 handler
  *  3. 把更新后的 memory 存回 Durable Storage
  *
  * 额外提供：
  *  - GET /status 可以查看当前 Actor 的完整内存，用于课堂展示。
+ *  - GET /subscribe（WebSocket）推送 memory 变化：连上时 { type: "snapshot", memory }，
+ *    之后每次 /invoke 存盘后 { type: "patch", set, removed }（顶层字段级 diff）。
+ *    连接用 hibernatable WebSocket 挂在本 DO 上，没有消息时 DO 可以休眠。
+ *  - GET /events（SSE）推送 handler 通过 ctx.emit(type, data) 发出的领域事件；
+ *    事件带递增 id 存在 storage 里，重连时按 Last-Event-ID 补发错过的部分。
  */
 
+// 领域事件日志：event:<补零的 id> → { id, type, data, at }，只保留最近 EVENT_LOG_LIMIT 条
+const EVENT_PREFIX = "event:";
+const EVENT_LOG_LIMIT = 500;
+
+// SSE 心跳间隔，防止中间代理把长时间没有数据的连接断掉
+const SSE_HEARTBEAT_MS = 25_000;
+
 export class GoldfishActor {
   /**
    * @param {DurableObjectState} state
@@ -32,6 +47,14 @@ export class GoldfishActor {
 
     this.memory = null;      // 短期 + 可快照的状态
     this.initialized = false;
+    this.lastEventId = 0;    // 最近一条领域事件的 id
+    this.commits = 0;        // memory 成功写回 storage 的次数（回滚时判断期间有没有重入调用存过盘）
+
+    // 打开着的 SSE 连接：{ writer, heartbeat }（SSE 不能休眠，连接在时 DO 常驻内存）
+    this.eventStreams = new Set();
+
+    // 订阅方的心跳由运行时直接应答，不会唤醒休眠中的 DO
+    state.setWebSocketAutoResponse(new WebSocketRequestResponsePair("ping", "pong"));
   }
 
   async fetch(request) {
@@ -42,23 +65,99 @@ export class GoldfishActor {
       await this.ensureInitialized();
 
       const body = await request.json().catch(() => ({}));
-      const { payload, actorType, actorId } = body;
+      const { payload, actorType, actorId, callChain = [], idempotencyKey = null, caller = null } = body;
 
       const now = Date.now();
 
+      // 本 actor 向外同步调用时，把自己接到调用链末尾，供 Router 做死锁检测
+      const outgoingChain = [...callChain, `${actorType}:${actorId}`];
+
+      // 当前消息带幂等键时，handler 里发出的消息按调用顺序派生出确定的 key，
+      // 这样整条消息被重试时，下游不会重复执行已经完成的部分
+      let outgoingCount = 0;
+      const outgoingKey = (toType, toId, options) => {
+        outgoingCount += 1;
+        if (options.idempotencyKey) return options.idempotencyKey;
+        if (!idempotencyKey) return undefined;
+        return `${idempotencyKey}:${toType}:${toId}:${outgoingCount}`;
+      };
+
+      // 本条消息发出的领域事件，处理成功后才写入事件日志
+      const emitted = [];
+
       const ctx = {
         actorType,
         actorId,
         memory: this.memory,
         storage: this.state.storage,
         env: this.env,
-        now
+        now,
+        callChain,
+        idempotencyKey,
+        // 最初发起请求的用户 { sub, role }；内部消息沿用同一个 caller，未开启认证时为 null
+        caller,
+        ask: (toType, toId, toPayload, options = {}) =>
+          sendToActor(this.env, toType, toId, toPayload, {
+            callChain: outgoingChain,
+            idempotencyKey: outgoingKey(toType, toId, options),
+            caller,
+            deliverAt: options.deliverAt,
+            delayMs: options.delayMs
+          }),
+        // tell 不阻塞当前 handler，也就不会形成等待环，不需要带调用链
+        tell: (toType, toId, toPayload, options = {}) =>
+          sendToActor(this.env, toType, toId, toPayload, {
+            mode: "tell",
+            idempotencyKey: outgoingKey(toType, toId, options),
+            caller,
+            deliverAt: options.deliverAt,
+            delayMs: options.delayMs
+          }),
+        // 发出一个领域事件（例如 questionStarted），推给 /events 的订阅方
+        emit: (type, data = {}) => {
+          emitted.push({ type, data, at: now });
+        }
       };
 
-      const { result, nextPolicy, spawn } = await this.handleMessage(payload, ctx);
-
-      // 把 memory 存回 Durable Storage（快照）
-      await this.state.storage.put("memory", this.memory);
+      // handler 抛错时回滚到调用前的 memory，避免半更新的状态被之后的 put 存下来。
+      // 原地恢复而不是换成快照对象：重入调用（policy.reentrant）和外层调用的 ctx.memory 是同一个对象
+      const snapshot = structuredClone(this.memory);
+      const commitsBefore = this.commits;
+
+      let res;
+      try {
+        res = await this.handleMessage(payload, ctx);
+      } catch (err) {
+        const failed = this.commits !== commitsBefore ? structuredClone(this.memory) : null;
+        restoreMemory(this.memory, snapshot);
+        // 期间重入的内层调用已经存过盘：外层失败时它的改动一起回滚，storage 也要跟着回到调用前
+        if (failed) {
+          await this.state.storage.put("memory", this.memory);
+          this.commits += 1;
+          this.publish(actorType, actorId, failed, this.memory);
+        }
+        return errorResponse(err, `${actorType}:${actorId}`);
+      }
+
+      const { result, nextPolicy, spawn } = res;
+
+      // 把 memory 存回 Durable Storage（快照），本条消息的事件一起写入
+      const events = emitted.map(event => ({ id: ++this.lastEventId, ...event }));
+      const entries = { memory: this.memory };
+      for (const event of events) {
+        entries[eventKey(event.id)] = event;
+      }
+      if (events.length > 0) entries.lastEventId = this.lastEventId;
+      await this.state.storage.put(entries);
+      this.commits += 1;
+
+      // 超出保留条数的旧事件
+      const expired = events.map(event => event.id - EVENT_LOG_LIMIT).filter(id => id > 0);
+      if (expired.length > 0) await this.state.storage.delete(expired.map(eventKey));
+
+      // 推送给订阅方
+      this.publish(actorType, actorId, snapshot, this.memory);
+      this.publishEvents(events);
 
       return new Response(
         JSON.stringify({ result, nextPolicy, spawn }),
@@ -75,13 +174,78 @@ export class GoldfishActor {
       );
     }
 
+    // 订阅入口：WebSocket 升级，连接交给 state.acceptWebSocket 托管（可休眠）
+    if (url.pathname === "/subscribe") {
+      if (request.headers.get("Upgrade") !== "websocket") {
+        return new Response("Expected WebSocket upgrade", { status: 426 });
+      }
+      await this.ensureInitialized();
+
+      const actorType = url.searchParams.get("actorType");
+      const actorId = url.searchParams.get("actorId");
+      const caller = JSON.parse(request.headers.get("X-Goldfish-Caller") || "null");
+
+      const view = viewForCaller(getActorType(actorType), this.memory, caller);
+      if (!view) {
+        return new Response(
+          JSON.stringify({ ok: false, code: "FORBIDDEN", error: `Role ${caller.role} may not view ${actorType}:${actorId}` }),
+          { status: 403, headers: { "Content-Type": "application/json" } }
+        );
+      }
+
+      const [client, server] = Object.values(new WebSocketPair());
+      this.state.acceptWebSocket(server);
+      // 休眠唤醒后 this 上的字段都没了，订阅信息存在连接自己的 attachment 里
+      server.serializeAttachment({ actorType, actorId, caller });
+      server.send(JSON.stringify({ type: "snapshot", actorKey: `${actorType}:${actorId}`, memory: view }));
+
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    // 领域事件流：SSE，先补发 Last-Event-ID 之后的事件，再推送新事件
+    if (url.pathname === "/events" && request.method === "GET") {
+      await this.ensureInitialized();
+
+      let lastEventId = Number(request.headers.get("Last-Event-ID") || url.searchParams.get("lastEventId") || 0);
+      // 事件日志被重置过（id 从头开始），客户端记的 id 已经没有意义，从头补发
+      if (!Number.isFinite(lastEventId) || lastEventId > this.lastEventId) lastEventId = 0;
+
+      const missed = await this.state.storage.list({ prefix: EVENT_PREFIX, start: eventKey(lastEventId + 1) });
+
+      const { readable, writable } = new TransformStream();
+      const stream = { writer: writable.getWriter(), heartbeat: null };
+      this.eventStreams.add(stream);
+
+      this.writeStream(stream, "retry: 3000\n\n");
+      for (const event of missed.values()) {
+        this.writeStream(stream, formatEvent(event));
+      }
+      stream.heartbeat = setInterval(() => this.writeStream(stream, ": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+
+      return new Response(readable, {
+        status: 200,
+        headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" }
+      });
+    }
+
     // 管理员重置入口，清除 storage & memory
     if (url.pathname === "/admin-reset" && request.method === "POST") {
-        // 删掉持久化的 "memory"
+        // 删掉持久化的 "memory" 和事件日志
         await this.state.storage.delete("memory");
+        const eventKeys = await this.state.storage.list({ prefix: EVENT_PREFIX });
+        await this.state.storage.delete([...eventKeys.keys(), "lastEventId"]);
+        this.lastEventId = 0;
         // 清空内存里的 memory，并标记未初始化
         this.memory = {};
         this.initialized = false;
+        // 事件流也断开，客户端重连后从头开始
+        for (const stream of this.eventStreams) {
+          this.closeStream(stream);
+        }
+        // 断开订阅方，让它们重连后拿到重置后的快照
+        for (const ws of this.state.getWebSockets()) {
+          ws.close(1012, "Actor reset");
+        }
 
         return new Response(
         JSON.stringify({ ok: true, action: "admin-reset" }),
@@ -92,828 +256,200 @@ export class GoldfishActor {
     return new Response("GoldfishActor DO", { status: 200 });
   }
 
+  /**
+   * 把一次 /invoke 前后 memory 的变化推给所有订阅方。
+   * 每个订阅方按自己的 caller 过滤（statusView），只发它能看到的字段里真正变了的那些。
+   */
+  publish(actorType, actorId, before, after) {
+    const definition = getActorType(actorType);
+    const actorKey = `${actorType}:${actorId}`;
+
+    for (const ws of this.state.getWebSockets()) {
+      const { caller } = ws.deserializeAttachment() || {};
+      const next = viewForCaller(definition, after, caller);
+      if (!next) {
+        ws.close(1008, "Forbidden");
+        continue;
+      }
+
+      const patch = diffMemory(viewForCaller(definition, before, caller) || {}, next);
+      if (!patch) continue;
+
+      try {
+        ws.send(JSON.stringify({ type: "patch", actorKey, ...patch }));
+      } catch (err) {
+        console.warn(`Failed to push to a subscriber of ${actorKey}:`, err);
+      }
+    }
+  }
+
+  /**
+   * 把刚写入日志的领域事件推给所有 SSE 连接
+   */
+  publishEvents(events) {
+    for (const event of events) {
+      const chunk = formatEvent(event);
+      for (const stream of this.eventStreams) {
+        this.writeStream(stream, chunk);
+      }
+    }
+  }
+
+  // 不等待写入完成（客户端读得慢时会一直挂着）；写失败说明客户端已断开
+  writeStream(stream, text) {
+    stream.writer.write(new TextEncoder().encode(text)).catch(() => this.closeStream(stream));
+  }
+
+  closeStream(stream) {
+    if (!this.eventStreams.delete(stream)) return;
+    clearInterval(stream.heartbeat);
+    stream.writer.close().catch(() => {});
+  }
+
+  // 订阅方只接收推送；除了自动应答的 "ping" 之外，发来的消息一律忽略
+  async webSocketMessage() {}
+
+  async webSocketClose(ws, code, reason) {
+    try {
+      ws.close(code, reason);
+    } catch {
+      // 连接已经关闭
+    }
+  }
+
   async ensureInitialized() {
     if (this.initialized) return;
 
-    const stored = await this.state.storage.get("memory");
-    this.memory = stored || {};
+    const stored = await this.state.storage.get(["memory", "lastEventId"]);
+    this.memory = stored.get("memory") || {};
+    this.lastEventId = stored.get("lastEventId") || 0;
     this.initialized = true;
   }
 
   /**
-   * 顶层分发：根据 actorType 调用不同的 handler。
+   * 顶层分发：按 actorType 查注册表，再按 payload.type 找到对应的 handler。
    * 所有 handler 都返回 { result, nextPolicy, spawn }。
    */
   async handleMessage(payload, ctx) {
     const { actorType, actorId, memory, now } = ctx;
 
     // 为所有 actor 记录一些通用元信息
+    const isNew = !memory.actorType;
     memory.actorType = memory.actorType || actorType;
     memory.actorId = memory.actorId || actorId;
     memory.lastActiveAt = now;
 
-    let res;
-
-    if (actorType === "teacher") {
-      res = await handleTeacherMessage(payload, ctx);
-    } else if (actorType === "room") {
-      res = await handleRoomMessage(payload, ctx);
-    } else if (actorType === "student") {
-      res = await handleStudentMessage(payload, ctx);
-    } else if (actorType === "question") {
-      res = await handleQuestionMessage(payload, ctx);
-    } else {
-      res = {
-        result: { error: "Unknown actorType", actorType },
-        nextPolicy: { mode: "immediate" },
-        spawn: []
-      };
+    const definition = getActorType(actorType);
+    if (!definition) {
+      throw new ActorError("UNKNOWN_ACTOR_TYPE", `Unknown actorType: ${actorType}`, 404);
     }
 
-    // 确保默认值存在
-    if (!res.nextPolicy) {
-      res.nextPolicy = { mode: "immediate" };
+    // 补齐该类型的初始字段（新 actor，或旧快照里缺的字段）
+    if (definition.initialMemory) {
+      const initial = definition.initialMemory(ctx, payload);
+      for (const [key, value] of Object.entries(initial)) {
+        if (memory[key] === undefined) memory[key] = value;
+      }
     }
-    if (!res.spawn) {
-      res.spawn = [];
-    }
-
-    return res;
-  }
-}
-
-/* -------------------------------------------------------------------------- */
-/*                              TeacherActor 逻辑                              */
-/* -------------------------------------------------------------------------- */
-
-/**
- * TeacherActor 用来：
- *  - 记录自己创建的 room 与 question
- *  - 通过 Router 向 Room / Question 发送消息，实现“用 Actor 创建 Actor”
- *
- * memory 结构示例：
- * {
- *   actorType: "teacher",
- *   actorId: "t1",
- *   rooms: ["class-101", "class-202"],
- *   questionsByRoom: {
- *     "class-101": ["q1", "q2", "q3"]
- *   },
- *   lastActiveAt: ...
- * }
- */
-async function handleTeacherMessage(payload, ctx) {
-  const { actorId, memory, env } = ctx;
-  const type = payload?.type;
 
-  memory.kind = memory.kind || "teacher";
-  memory.teacherId = memory.teacherId || actorId;
-  memory.rooms = memory.rooms || [];
-  memory.questionsByRoom = memory.questionsByRoom || {};
-
-  if (!type) {
-    return {
-      result: { error: "Missing payload.type for teacher" },
-      nextPolicy: { mode: "immediate" },
-      spawn: []
-    };
-  }
-
-  // 老师创建房间
-  if (type === "createRoom") {
-    const roomId = payload.roomId;
-    const roomName = payload.roomName || roomId;
-
-    if (!roomId) {
-      return {
-        result: { error: "roomId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    if (!memory.rooms.includes(roomId)) {
-      memory.rooms.push(roomId);
+    const { hooks } = definition;
+    if (isNew && hooks.onCreate) {
+      await hooks.onCreate(ctx);
     }
 
-    // 通过 Router 发送消息给 RoomActor，初始化房间
-    await sendToActor(env, "room", roomId, {
-      type: "initRoom",
-      teacherId: actorId,
-      roomName
-    });
-
-    return {
-      result: {
-        ok: true,
-        action: "createRoom",
-        roomId,
-        roomName
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 老师为某房间创建题目
-  if (type === "createQuestions") {
-    const roomId = payload.roomId;
-    const questions = payload.questions || [];
-
-    if (!roomId) {
-      return {
-        result: { error: "roomId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
+    const type = payload?.type;
+    if (!type) {
+      throw new ActorError("UNKNOWN_MESSAGE", `Missing payload.type for ${actorType}`);
     }
 
-    const qIds = [];
-    for (const q of questions) {
-      const qId = q.questionId;
-      if (!qId) continue;
-      qIds.push(qId);
-
-      // 初始化 QuestionActor
-      await sendToActor(env, "question", qId, {
-        type: "initQuestion",
-        roomId,
-        text: q.text,
-        options: q.options,
-        correctOption: q.correctOption,
-        durationMs: q.durationMs
-      });
+    const handler = definition.messages[type];
+    if (!handler) {
+      throw new ActorError("UNKNOWN_MESSAGE", `Unknown ${actorType} payload.type: ${type}`);
     }
 
-    // 告诉 RoomActor 这些 question 的列表
-    if (qIds.length > 0) {
-      await sendToActor(env, "room", roomId, {
-        type: "registerQuestions",
-        questionIds: qIds
-      });
+    if (hooks.beforeMessage) {
+      await hooks.beforeMessage(payload, ctx);
     }
 
-    memory.questionsByRoom[roomId] = qIds;
+    const res = await handler(payload, ctx);
 
-    return {
-      result: {
-        ok: true,
-        action: "createQuestions",
-        roomId,
-        questionIds: qIds
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 老师开始当前题目
-  if (type === "startQuestion") {
-    const roomId = payload.roomId;
-    if (!roomId) {
-      return {
-        result: { error: "roomId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
+    // 确保默认值存在
+    if (!res.nextPolicy) {
+      res.nextPolicy = { mode: "immediate" };
     }
-
-    const resp = await sendToActor(env, "room", roomId, {
-      type: "startCurrentQuestion"
-    });
-
-    return {
-      result: {
-        ok: resp.ok,
-        roomId,
-        fromRoom: resp.result || resp.error
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 老师结束当前题目（触发统计）
-  if (type === "finishCurrentQuestion") {
-    const roomId = payload.roomId;
-    if (!roomId) {
-      return {
-        result: { error: "roomId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
+    if (!res.spawn) {
+      res.spawn = [];
     }
 
-    const resp = await sendToActor(env, "room", roomId, {
-      type: "finishCurrentQuestion"
-    });
-
-    return {
-      result: {
-        ok: resp.ok,
-        roomId,
-        fromRoom: resp.result || resp.error
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 老师结束整场房间（统计总分 + 排名）
-  if (type === "finishRoom") {
-    const roomId = payload.roomId;
-    if (!roomId) {
-      return {
-        result: { error: "roomId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
+    if (hooks.afterMessage) {
+      await hooks.afterMessage(payload, ctx, res);
     }
 
-    const resp = await sendToActor(env, "room", roomId, {
-      type: "finishRoom"
-    });
-
-    return {
-      result: {
-        ok: resp.ok,
-        roomId,
-        fromRoom: resp.result || resp.error
-      },
-      nextPolicy: { mode: "immediate" }
-    };
+    return res;
   }
-
-  return {
-    result: { error: `Unknown teacher payload.type: ${type}` },
-    nextPolicy: { mode: "immediate" }
-  };
 }
 
 /* -------------------------------------------------------------------------- */
-/*                               RoomActor 逻辑                               */
+/*                               工具函数：消息发送                            */
 /* -------------------------------------------------------------------------- */
 
-function unwrapRouterResult(resp) {
-  if (!resp) return {};
-  // Router 外层: { ok, result: { result: inner, actorKey } }
-  if (resp.result && resp.result.result) return resp.result.result;
-  if (resp.result) return resp.result;
-  return resp;
+function eventKey(id) {
+  return EVENT_PREFIX + String(id).padStart(12, "0");
 }
 
 /**
- * RoomActor 负责：
- *  - 维护房间元信息（teacher, students, questions）
- *  - 管理当前进行到第几题
- *  - 在每题结束时向 QuestionActor 拉取 summary，更新 scores & 排名
- *
- * memory 示例：
- * {
- *   kind: "room",
- *   roomId: "class-101",
- *   teacherId: "t1",
- *   roomName: "网络课程01",
- *   students: ["s1", "s2"],
- *   questions: ["q1", "q2", "q3"],
- *   currentQuestionIndex: 0,
- *   scores: { "s1": 2, "s2": 1 },
- *   status: "waiting" | "in_question" | "finished"
- * }
+ * SSE 格式：id / event / data，data 是事件内容加上发生时间 at
  */
-async function handleRoomMessage(payload, ctx) {
-  const { actorId, memory, env, now } = ctx;
-  const type = payload?.type;
-
-  memory.kind = memory.kind || "room";
-  memory.roomId = memory.roomId || actorId;
-  memory.students = memory.students || [];
-  memory.questions = memory.questions || [];
-  memory.currentQuestionIndex = memory.currentQuestionIndex || 0;
-  memory.scores = memory.scores || {};
-  memory.status = memory.status || "waiting";
-  memory.roomName = memory.roomName || payload?.roomName || memory.roomId;
-
-  if (!type) {
-    return {
-      result: { error: "Missing payload.type for room" },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 初始化房间（来自 TeacherActor）
-  if (type === "initRoom") {
-    memory.teacherId = payload.teacherId || memory.teacherId;
-    memory.roomName = payload.roomName || memory.roomName;
-
-    return {
-      result: {
-        ok: true,
-        action: "initRoom",
-        roomId: memory.roomId,
-        teacherId: memory.teacherId,
-        roomName: memory.roomName
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 注册题目列表（来自 TeacherActor）
-  if (type === "registerQuestions") {
-    const ids = payload.questionIds || [];
-    memory.questions = ids;
-    memory.currentQuestionIndex = 0;
-    memory.status = "waiting";
-
-    return {
-      result: {
-        ok: true,
-        action: "registerQuestions",
-        roomId: memory.roomId,
-        questions: memory.questions
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 学生加入房间
-  if (type === "join") {
-    const studentId = payload.studentId;
-    const name = payload.name;
-
-    if (!studentId) {
-      return {
-        result: { error: "studentId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    if (!memory.students.includes(studentId)) {
-      memory.students.push(studentId);
-    }
-
-    // 通知 StudentActor 记录自己加入了这个 room
-    await sendToActor(env, "student", studentId, {
-      type: "joinRoom",
-      roomId: memory.roomId,
-      name
-    });
-
-    return {
-      result: {
-        ok: true,
-        action: "join",
-        roomId: memory.roomId,
-        studentId,
-        students: memory.students
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 老师开始当前题目
-  if (type === "startCurrentQuestion") {
-    if (memory.questions.length === 0) {
-      return {
-        result: { error: "No questions registered for this room" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    if (memory.currentQuestionIndex >= memory.questions.length) {
-      return {
-        result: { error: "All questions already finished" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    const qId = memory.questions[memory.currentQuestionIndex];
-
-    // 通知 QuestionActor 开始（记录 startTime）
-    const resp = await sendToActor(env, "question", qId, {
-      type: "start"
-    });
-
-    memory.status = "in_question";
-    memory.currentQuestionId = qId;
-    memory.questionStartedAt = now;
-
-    return {
-      result: {
-        ok: resp.ok,
-        action: "startCurrentQuestion",
-        roomId: memory.roomId,
-        questionId: qId,
-        fromQuestion: resp.result || resp.error
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 教师结束当前题目：拉 summary，更新 scores
-  if (type === "finishCurrentQuestion") {
-    if (memory.questions.length === 0) {
-      return {
-        result: { error: "No questions registered for this room" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    if (memory.currentQuestionIndex >= memory.questions.length) {
-      return {
-        result: { error: "All questions already finished" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    const qId = memory.questions[memory.currentQuestionIndex];
-
-    const resp = await sendToActor(env, "question", qId, {
-      type: "getSummary"
-    });
-
-    if (!resp.ok) {
-      return {
-        result: { error: "Failed to get question summary", fromQuestion: resp },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    const sum = unwrapRouterResult(resp);
-    const correctStudents = sum.correctStudents || [];
-    const allAnswers = sum.answers || {};
-
-    // 为所有答对的学生加 1 分
-    for (const sid of correctStudents) {
-      memory.scores[sid] = (memory.scores[sid] || 0) + 1;
-
-      // 也通知 StudentActor 更新自己的记录
-      const ans = allAnswers[sid] || {};
-      const timeUsedMs = ans.answeredAt && sum.startTime
-        ? ans.answeredAt - sum.startTime
-        : null;
-
-      await sendToActor(env, "student", sid, {
-        type: "updateScore",
-        roomId: memory.roomId,
-        questionId: qId,
-        correct: true,
-        scoreDelta: 1,
-        timeUsedMs
-      });
-    }
-
-    // 更新当前题目索引
-    memory.currentQuestionIndex += 1;
-    memory.status = memory.currentQuestionIndex >= memory.questions.length
-      ? "finished"
-      : "waiting";
-
-    // 如果全部结束，计算排名
-    if (memory.status === "finished") {
-      const ranking = Object.entries(memory.scores)
-        .sort(([, a], [, b]) => b - a)
-        .map(([sid, score], idx) => ({
-          rank: idx + 1,
-          studentId: sid,
-          score
-        }));
-      memory.ranking = ranking;
-    }
-
-    return {
-      result: {
-        ok: true,
-        action: "finishCurrentQuestion",
-        roomId: memory.roomId,
-        questionId: qId,
-        correctStudents,
-        scores: memory.scores,
-        status: memory.status,
-        ranking: memory.ranking || null
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 结束整场房间（如果没有提前 finishCurrentQuestion，也可以在此处补齐）
-  if (type === "finishRoom") {
-    // 简单处理：如果还有未完成的题目，就提示错误
-    if (memory.currentQuestionIndex < memory.questions.length) {
-      return {
-        result: {
-          error: "Not all questions have been finished. Please call finishCurrentQuestion for each first.",
-          currentQuestionIndex: memory.currentQuestionIndex,
-          totalQuestions: memory.questions.length
-        },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    memory.status = "finished";
-
-    // 若前面已经算过 ranking，这里直接返回；否则计算一次
-    if (!memory.ranking) {
-      const ranking = Object.entries(memory.scores)
-        .sort(([, a], [, b]) => b - a)
-        .map(([sid, score], idx) => ({
-          rank: idx + 1,
-          studentId: sid,
-          score
-        }));
-      memory.ranking = ranking;
-    }
-
-    return {
-      result: {
-        ok: true,
-        action: "finishRoom",
-        roomId: memory.roomId,
-        scores: memory.scores,
-        ranking: memory.ranking
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  return {
-    result: { error: `Unknown room payload.type: ${type}` },
-    nextPolicy: { mode: "immediate" }
-  };
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`;
 }
 
-/* -------------------------------------------------------------------------- */
-/*                             StudentActor 逻辑                               */
-/* -------------------------------------------------------------------------- */
-
 /**
- * StudentActor 负责：
- *  - 记录自己加入过哪些房间
- *  - 记录每道题的答题情况
- *  - 计算自己的总分
- *
- * memory 示例：
- * {
- *   kind: "student",
- *   studentId: "s1",
- *   name: "Alice",
- *   rooms: ["class-101"],
- *   answers: [
- *     { roomId, questionId, correct, scoreDelta, timeUsedMs }
- *   ],
- *   totalScore: 2
- * }
+ * 把 target 原地恢复成 source 的内容（保留对象引用）
  */
-async function handleStudentMessage(payload, ctx) {
-  const { actorId, memory } = ctx;
-  const type = payload?.type;
-
-  memory.kind = memory.kind || "student";
-  memory.studentId = memory.studentId || actorId;
-  memory.rooms = memory.rooms || [];
-  memory.answers = memory.answers || [];
-  memory.totalScore = memory.totalScore || 0;
-
-  if (!type) {
-    return {
-      result: { error: "Missing payload.type for student" },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 学生加入房间
-  if (type === "joinRoom") {
-    const roomId = payload.roomId;
-    const name = payload.name;
-
-    if (name && !memory.name) {
-      memory.name = name;
-    }
-    if (roomId && !memory.rooms.includes(roomId)) {
-      memory.rooms.push(roomId);
-    }
-
-    return {
-      result: {
-        ok: true,
-        action: "joinRoom",
-        studentId: memory.studentId,
-        name: memory.name,
-        rooms: memory.rooms
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 题目结束后由 RoomActor 更新分数
-  if (type === "updateScore") {
-    const record = {
-      roomId: payload.roomId,
-      questionId: payload.questionId,
-      correct: !!payload.correct,
-      scoreDelta: payload.scoreDelta || 0,
-      timeUsedMs: payload.timeUsedMs ?? null
-    };
-
-    memory.answers.push(record);
-    memory.totalScore += record.scoreDelta;
-
-    return {
-      result: {
-        ok: true,
-        action: "updateScore",
-        studentId: memory.studentId,
-        totalScore: memory.totalScore,
-        lastRecord: record
-      },
-      nextPolicy: { mode: "immediate" }
-    };
+function restoreMemory(target, source) {
+  for (const key of Object.keys(target)) {
+    delete target[key];
   }
-
-  return {
-    result: { error: `Unknown student payload.type: ${type}` },
-    nextPolicy: { mode: "immediate" }
-  };
+  Object.assign(target, source);
 }
 
-/* -------------------------------------------------------------------------- */
-/*                            QuestionActor 逻辑                               */
-/* -------------------------------------------------------------------------- */
-
 /**
- * QuestionActor 负责：
- *  - 保存题面 / 选项 / 正确答案 / 时长
- *  - 管理一题的倒计时窗口（startTime ~ startTime + durationMs）
- *  - 记录所有学生的答案
- *  - 提供 getSummary 给 RoomActor 统计成绩
- *
- * memory 示例：
- * {
- *   kind: "question",
- *   questionId: "q1",
- *   roomId: "class-101",
- *   text: "...",
- *   options: ["A...", "B...", ...],
- *   correctOption: "B",
- *   durationMs: 10000,
- *   startTime: 1733512400000,
- *   status: "pending" | "running" | "ended",
- *   answers: {
- *     "s1": { option: "B", correct: true, answeredAt: 1733512403000, late: false }
- *   }
- * }
+ * 顶层字段级 diff：{ set: { 变化或新增的字段 }, removed: [被删除的字段] }；没有变化时返回 null
  */
-async function handleQuestionMessage(payload, ctx) {
-  const { actorId, memory, now } = ctx;
-  const type = payload?.type;
-
-  memory.kind = memory.kind || "question";
-  memory.questionId = memory.questionId || actorId;
-  memory.answers = memory.answers || {};
-  memory.status = memory.status || "pending";
-
-  if (!type) {
-    return {
-      result: { error: "Missing payload.type for question" },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 初始化题目（来自 TeacherActor）
-  if (type === "initQuestion") {
-    memory.roomId = payload.roomId;
-    memory.text = payload.text || "";
-    memory.options = payload.options || [];
-    memory.correctOption = payload.correctOption;
-    memory.durationMs = payload.durationMs || 10000;
-    memory.startTime = null;
-    memory.status = "pending";
-    memory.answers = {};
-
-    return {
-      result: {
-        ok: true,
-        action: "initQuestion",
-        questionId: memory.questionId,
-        roomId: memory.roomId,
-        durationMs: memory.durationMs
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 开始倒计时（来自 RoomActor）
-  if (type === "start") {
-    memory.startTime = now;
-    memory.status = "running";
-    memory.answers = {}; // 清空旧答案（如果有的话）
-
-    return {
-      result: {
-        ok: true,
-        action: "start",
-        questionId: memory.questionId,
-        roomId: memory.roomId,
-        startTime: memory.startTime,
-        durationMs: memory.durationMs
-      },
-      nextPolicy: { mode: "immediate" }
-    };
-  }
-
-  // 学生提交答案（通过 Router，actorType=question, actorId=questionId）
-  if (type === "submitAnswer") {
-    const studentId = payload.studentId;
-    const option = payload.option;
-
-    if (!studentId) {
-      return {
-        result: { error: "studentId is required" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    if (!option) {
-      return {
-        result: { error: "option is required" },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    if (memory.status !== "running" || !memory.startTime) {
-      // 不在计时时间内，直接标为错误（或拒绝）
-      memory.answers[studentId] = {
-        option,
-        correct: false,
-        answeredAt: now,
-        late: true
-      };
-      return {
-        result: {
-          ok: false,
-          reason: "Question not running or expired",
-          questionId: memory.questionId,
-          roomId: memory.roomId
-        },
-        nextPolicy: { mode: "immediate" }
-      };
-    }
-
-    const deadline = memory.startTime + memory.durationMs;
-    const late = now > deadline;
-
-    const correct = !late && option === memory.correctOption;
-
-    memory.answers[studentId] = {
-      option,
-      correct,
-      answeredAt: now,
-      late
-    };
-
-    return {
-      result: {
-        ok: true,
-        action: "submitAnswer",
-        questionId: memory.questionId,
-        roomId: memory.roomId,
-        studentId,
-        correct,
-        late
-      },
-      nextPolicy: { mode: "immediate" }
-    };
+function diffMemory(before, after) {
+  const set = {};
+  for (const [key, value] of Object.entries(after)) {
+    if (JSON.stringify(value) !== JSON.stringify(before[key])) set[key] = value;
   }
+  const removed = Object.keys(before).filter(key => !(key in after));
 
-  // RoomActor 在题目结束后调用 getSummary 做统计
-  if (type === "getSummary") {
-    // 可以在这里把状态改为 ended
-    memory.status = "ended";
-
-    const correctStudents = [];
-    const allAnswers = memory.answers || {};
-
-    for (const [sid, ans] of Object.entries(allAnswers)) {
-      if (ans.correct) correctStudents.push(sid);
-    }
-
-    const summary = {
-      questionId: memory.questionId,
-      roomId: memory.roomId,
-      status: memory.status,
-      startTime: memory.startTime,
-      durationMs: memory.durationMs,
-      correctStudents,
-      answers: allAnswers
-    };
+  if (Object.keys(set).length === 0 && removed.length === 0) return null;
+  return { set, removed };
+}
 
-    return {
-      result: summary,
-      nextPolicy: { mode: "immediate" }
-    };
+/**
+ * 把 handler 抛出的异常转成 /invoke 的错误响应
+ */
+function errorResponse(err, actorKey) {
+  const known = err instanceof ActorError;
+  if (!known) {
+    console.error(`Handler error in ${actorKey}:`, err);
   }
 
-  return {
-    result: { error: `Unknown question payload.type: ${type}` },
-    nextPolicy: { mode: "immediate" }
-  };
+  return new Response(
+    JSON.stringify({
+      error: {
+        code: known ? err.code : "HANDLER_ERROR",
+        message: err?.message || String(err),
+        actorKey,
+        errors: known ? err.errors : undefined
+      }
+    }),
+    { status: known ? err.status : 500, headers: { "Content-Type": "application/json" } }
+  );
 }
 
-/* -------------------------------------------------------------------------- */
-/*                               工具函数：消息发送                            */
-/* -------------------------------------------------------------------------- */
-
 /**
  * 从一个 Actor 发消息给“另一个 actorType + actorId”。
  * 实现方式：通过对应 actorType 的 Router DO /route 入口转发。
@@ -922,12 +458,27 @@ async function handleQuestionMessage(payload, ctx) {
  *  - 保证所有消息仍然经过 Router 的队列与串行语义
  *  - 逻辑上完全符合“Actor 之间通过消息通信”的模式
  *
+ * handler 里通过 ctx.ask(actorType, actorId, payload) 调用，
+ * options.callChain 会带上当前调用链；若目标 actor 已在链上，Router 直接返回 DEADLOCK。
+ *
+ * ctx.tell(actorType, actorId, payload) 使用 options.mode = "tell"：
+ * Router 把消息放进目标队列后立即返回，不等待 handler 执行完。
+ *
+ * options.idempotencyKey：目标 actor 在幂等窗口内重复收到同一个 key 时，
+ * Router 直接返回第一次的结果而不再执行 handler。
+ *
+ * options.deliverAt / options.delayMs：定时投递，Router 存下消息后立即返回 scheduleId（ask 也不等待结果）。
+ *
  * 返回值形如：
  *  { ok: true, result: ... }
+ * 或（tell）
+ *  { ok: true, mode: "tell", messageId, actorKey }
+ * 或（定时投递）
+ *  { ok: true, mode: "scheduled", messageId, scheduleId, actorKey, deliverAt }
  * 或
- *  { ok: false, error: "..." }
+ *  { ok: false, error: "...", code?, status }（code 来自 Router，例如 DEADLOCK 或目标 handler 的错误码）
  */
-async function sendToActor(env, actorType, actorId, payload) {
+async function sendToActor(env, actorType, actorId, payload, options = {}) {
   // 每个 actorType 对应一个 Router DO 实例
   const routerId = env.GOLDFISH_ROUTER.idFromName(actorType);
   const routerStub = env.GOLDFISH_ROUTER.get(routerId);
@@ -935,13 +486,26 @@ async function sendToActor(env, actorType, actorId, payload) {
   const resp = await routerStub.fetch("https://router.internal/route", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ actorType, actorId, payload })
+    body: JSON.stringify({
+      actorType,
+      actorId,
+      payload,
+      mode: options.mode,
+      callChain: options.callChain || [],
+      idempotencyKey: options.idempotencyKey,
+      caller: options.caller || null,
+      deliverAt: options.deliverAt,
+      delayMs: options.delayMs
+    })
   });
 
   if (!resp.ok) {
+    const error = await resp.json().catch(() => null);
     return {
       ok: false,
-      error: `Router responded with status ${resp.status}`
+      error: error?.error || `Router responded with status ${resp.status}`,
+      code: error?.code,
+      status: resp.status
     };
   }
 
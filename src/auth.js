@@ -0,0 +1,221 @@
+// src/auth.js
+
+/**
+ * Worker API 的认证与授权。
+ *
+ * - 认证：HS256 签名的 JWT，密钥来自 env.GOLDFISH_AUTH_SECRET。
+ *   token 放在 Authorization: Bearer <token>，或 ?token=（给没法设置请求头的 EventSource / WebSocket 用）。
+ *   claims：{ sub, role: "teacher" | "student" | "admin", exp? }
+ * - 授权：
+ *   1. 路由级：ROUTE_RULES 决定哪些角色能访问哪个接口
+ *   2. 消息级：registry 里每个 actorType 的 auth[payload.type]，由 /invoke 检查
+ *   admin 通过所有检查。
+ *
+ * 没有配置 GOLDFISH_AUTH_SECRET 时整个机制关闭（本地开发 / 测试）。
+ */
+
+export const ROLES = ["teacher", "student", "admin"];
+
+// pathname → 允许的角色；不在表里的路径（静态页面等）不需要 token
+const ROUTE_RULES = {
+  "/invoke": ROLES,
+  "/invoke-batch": ROLES,           // 每条消息仍按 /invoke 的消息级规则单独授权
+  "/actor-status": ROLES,           // 具体能看什么由 registry 的 statusView 决定
+  "/subscribe": ROLES,              // 同上，推送的内容也经过 statusView
+  "/events": ROLES,                 // 房间的领域事件，只含计数 / 结果，不含别人的答案
+  "/router-status": ROLES,
+  "/message-status": ROLES,
+  "/scheduled": ["teacher", "admin"],       // 非 admin 只能看到 / 取消自己创建的定时消息
+  "/scheduled/cancel": ["teacher", "admin"],
+  "/router-policy": ["admin"],
+  "/dead-letters": ["admin"],
+  "/dead-letters/replay": ["admin"],
+  "/dead-letters/purge": ["admin"],
+  "/reset-actor": ["admin"],
+  "/reset-router": ["admin"],
+  "/restart-router": ["admin"]
+};
+
+/**
+ * 认证失败 / 权限不足，index.js 转成 401 / 403
+ */
+export class AuthError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * AuthError → 401 / 403 JSON 响应；其他错误原样抛出
+ */
+export function authErrorResponse(err) {
+  if (!(err instanceof AuthError)) throw err;
+  return new Response(
+    JSON.stringify({ ok: false, code: err.code, error: err.message }),
+    { status: err.status, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+export function isAuthEnabled(env) {
+  return !!env.GOLDFISH_AUTH_SECRET;
+}
+
+/**
+ * 检查路由级规则，返回调用方身份 { sub, role }。
+ * 认证关闭时返回 null（表示不做任何限制）；不需要认证的路径也返回 null。
+ */
+export async function authorizeRoute(request, env) {
+  if (!isAuthEnabled(env)) return null;
+
+  const url = new URL(request.url);
+  const allowed = ROUTE_RULES[url.pathname];
+  if (!allowed) return null;
+
+  const token = readToken(request, url);
+  if (!token) {
+    throw new AuthError("UNAUTHENTICATED", "Missing bearer token", 401);
+  }
+
+  const caller = await verifyToken(token, env.GOLDFISH_AUTH_SECRET);
+  if (!allowed.includes(caller.role)) {
+    throw new AuthError("FORBIDDEN", `Role ${caller.role} may not access ${url.pathname}`, 403);
+  }
+  return caller;
+}
+
+/**
+ * 检查消息级规则：actorType 定义里的 auth[payload.type]。
+ * 没有声明规则的消息只有 admin 可以从外部发送（内部 ctx.ask / tell 不经过这里）。
+ */
+export function authorizeMessage(caller, definition, actorType, actorId, payload) {
+  if (!caller || caller.role === "admin") return;
+
+  const type = payload?.type;
+  const rule = definition?.auth?.[type];
+  if (!rule || !rule(caller, { actorType, actorId, payload })) {
+    throw new AuthError("FORBIDDEN", `Role ${caller.role} may not send ${actorType}.${type}`, 403);
+  }
+}
+
+/**
+ * 调用方能看到的 memory：学生只能看到 actorType 的 statusView 返回的内容，null 表示不可见；
+ * 其他角色（以及未开启认证时）看到完整 memory
+ */
+export function viewForCaller(definition, memory, caller) {
+  if (!caller || caller.role !== "student") return memory;
+  return definition?.statusView ? definition.statusView(memory, caller) : null;
+}
+
+/**
+ * 常用的消息级规则
+ */
+export const rules = {
+  // 指定角色中的任意一个
+  roles: (...roles) => caller => roles.includes(caller.role),
+
+  // 只能以自己的身份操作：caller.sub 等于 pick(message) 取出的 id
+  self: (role, pick) => (caller, message) => caller.role === role && caller.sub === pick(message)
+};
+
+/**
+ * 校验 JWT 并返回 { sub, role }
+ */
+export async function verifyToken(token, secret) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw new AuthError("UNAUTHENTICATED", "Malformed token", 401);
+  }
+
+  const [headerPart, claimsPart, signaturePart] = parts;
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(decodeBase64Url(headerPart));
+    claims = JSON.parse(decodeBase64Url(claimsPart));
+  } catch {
+    throw new AuthError("UNAUTHENTICATED", "Malformed token", 401);
+  }
+
+  if (header.alg !== "HS256") {
+    throw new AuthError("UNAUTHENTICATED", "Unsupported token algorithm", 401);
+  }
+
+  const key = await importKey(secret, "verify");
+  const valid = await crypto.subtle.verify(
+    "HMAC",
+    key,
+    base64UrlToBytes(signaturePart),
+    new TextEncoder().encode(`${headerPart}.${claimsPart}`)
+  );
+  if (!valid) {
+    throw new AuthError("UNAUTHENTICATED", "Invalid token signature", 401);
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === "number" && claims.exp <= nowSec) {
+    throw new AuthError("UNAUTHENTICATED", "Token expired", 401);
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > nowSec) {
+    throw new AuthError("UNAUTHENTICATED", "Token not yet valid", 401);
+  }
+  if (!claims.sub || !ROLES.includes(claims.role)) {
+    throw new AuthError("UNAUTHENTICATED", "Token must carry sub and a valid role", 401);
+  }
+
+  return { sub: String(claims.sub), role: claims.role };
+}
+
+/**
+ * 签发 JWT（scripts/sign-token.js 和测试用）
+ */
+export async function signToken(claims, secret) {
+  const headerPart = encodeBase64Url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const claimsPart = encodeBase64Url(JSON.stringify(claims));
+
+  const key = await importKey(secret, "sign");
+  const signature = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(`${headerPart}.${claimsPart}`)
+  );
+  return `${headerPart}.${claimsPart}.${bytesToBase64Url(new Uint8Array(signature))}`;
+}
+
+function readToken(request, url) {
+  const header = request.headers.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice("Bearer ".length).trim();
+  return url.searchParams.get("token");
+}
+
+function importKey(secret, usage) {
+  return crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    [usage]
+  );
+}
+
+function encodeBase64Url(text) {
+  return bytesToBase64Url(new TextEncoder().encode(text));
+}
+
+function decodeBase64Url(part) {
+  return new TextDecoder().decode(base64UrlToBytes(part));
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(part) {
+  const base64 = part.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(part.length / 4) * 4, "=");
+  const binary = atob(base64);
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
@@ -0,0 +1,26 @@
+// src/errors.js
+
+/**
+ * handler 里主动抛出的业务错误。
+ *
+ * GoldfishActor 捕获后回滚本次调用对 memory 的修改，返回
+ *   { error: { code, message, actorKey, errors? } }，HTTP 状态码为 status；
+ * Router 再把同样的 code / 状态码交给调用方。
+ *
+ * 其他未预期的异常按 HANDLER_ERROR / 500 处理。
+ */
+export class ActorError extends Error {
+  /**
+   * @param {string} code    机器可读的错误码，例如 "ROOM_NOT_FOUND"
+   * @param {string} message 给人看的说明
+   * @param {number} status  返回给调用方的 HTTP 状态码
+   * @param {Array<{ field: string, message: string }>} [errors] 可选的字段级错误，格式同 Router 的 schema 校验
+   */
+  constructor(code, message, status = 400, errors = undefined) {
+    super(message);
+    this.name = "ActorError";
+    this.code = code;
+    this.status = status;
+    this.errors = errors;
+  }
+}
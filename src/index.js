@@ -1,6 +1,23 @@
 // src/index.js
+import { env as workerEnv } from "cloudflare:workers";
 import { GoldfishRouter } from "./router.js";
 import { GoldfishActor } from "./actor.js";
+import { getActorType, registerBundle } from "./registry.js";
+import { AuthError, authErrorResponse, authorizeMessage, authorizeRoute, viewForCaller } from "./auth.js";
+import { quizBundle } from "./quiz/index.js";
+import { probeBundle } from "./probe/index.js";
+
+// 本 Worker 跑的业务：课堂抢答系统（teacher / room / student / question）
+registerBundle(quizBundle);
+// 端到端测试用的 probe actor（test/*.js）：能按要求睡眠、报错、让 Actor DO 崩掉、向任意 actor 转发消息，
+// 只在 GOLDFISH_ENABLE_PROBE 打开时注册（npm test 用 wrangler dev --var 打开），部署出去的 Worker 里没有它
+if (isEnabled(workerEnv.GOLDFISH_ENABLE_PROBE)) {
+  registerBundle(probeBundle);
+}
+
+// /invoke-batch：一次最多多少条消息，以及同时处理多少个 actor（Worker 同时打开的子请求有限，多出来的只会排队）
+const MAX_BATCH_SIZE = 500;
+const BATCH_CONCURRENCY = 6;
 
 /**
  * Worker 入口：
@@ -9,12 +26,23 @@ import { GoldfishActor } from "./actor.js";
  */
 const worker = {
   /**
-   * 对外：POST /invoke
-   * body: { actorType: string, actorId: string, payload: any }
+   * 对外：POST /invoke[?async=1]
+   * body: { actorType: string, actorId: string, payload: any, mode?: "ask" | "tell", idempotencyKey?: string,
+   *         deliverAt?: number | string, delayMs?: number }
+   * 幂等键也可以放在 Idempotency-Key 请求头里；带 deliverAt / delayMs 时立即返回 scheduleId，到点再投递
    */
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
+    // 开启认证（GOLDFISH_AUTH_SECRET）时先按路由规则认证 / 授权；
+    // caller 是调用方身份 { sub, role }，未开启认证或公开路径时为 null
+    let caller;
+    try {
+      caller = await authorizeRoute(request, env);
+    } catch (err) {
+      return authErrorResponse(err);
+    }
+
 		// 1) API: 统一向某个 Actor 发送消息
     if (url.pathname === "/invoke" && request.method === "POST") {
       const body = await request.json().catch(() => null);
@@ -22,24 +50,80 @@ const worker = {
         return new Response("Invalid JSON body", { status: 400 });
       }
 
-      const { actorType, actorId, payload } = body;
+      const { actorType, actorId, payload, mode, deliverAt, delayMs } = body;
+      const idempotencyKey = request.headers.get("Idempotency-Key") || body.idempotencyKey || null;
 
       if (!actorType || !actorId) {
         return new Response("actorType and actorId are required", { status: 400 });
       }
 
-      // 约定：相同 actorType → 同一个 Router DO 实例
-      const routerId = env.GOLDFISH_ROUTER.idFromName(actorType);
-      const routerStub = env.GOLDFISH_ROUTER.get(routerId);
+      // 消息级授权：例如学生只能以自己的 studentId 提交答案
+      try {
+        authorizeMessage(caller, getActorType(actorType), actorType, actorId, payload);
+      } catch (err) {
+        return authErrorResponse(err);
+      }
 
-      // 把请求转发给 Router DO 统一调度
-      return routerStub.fetch("https://router.internal/route", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ actorType, actorId, payload })
+      return routeMessage(env, {
+        actorType,
+        actorId,
+        payload,
+        mode,
+        // async=1：立即返回 messageId，之后用 /message-status 取结果
+        async: url.searchParams.get("async") === "1",
+        // 同一个 key 在窗口期内重试，只会执行一次并拿到原来的结果
+        idempotencyKey,
+        // 定时投递：deliverAt（毫秒时间戳 / ISO 字符串）或 delayMs，二选一
+        deliverAt,
+        delayMs,
+        caller,
+        clientId: clientIdOf(request, caller)
       });
     }
 
+		// 1.1) API: 批量发送消息；同一个 actor 的消息按数组顺序逐条处理，不同 actor 之间并行
+		// body: [{ actorType, actorId, payload, mode?, idempotencyKey?, deliverAt?, delayMs? }, ...]（或 { messages: [...] }）
+		// 返回 { ok, results }，results[i] 对应第 i 条：{ index, status, ...和 /invoke 相同的 body }
+		if (url.pathname === "/invoke-batch" && request.method === "POST") {
+			const body = await request.json().catch(() => null);
+			const items = Array.isArray(body) ? body : body?.messages;
+			if (!Array.isArray(items)) {
+				return new Response("Body must be an array of { actorType, actorId, payload }", { status: 400 });
+			}
+			if (items.length > MAX_BATCH_SIZE) {
+				return new Response(`At most ${MAX_BATCH_SIZE} messages per batch`, { status: 413 });
+			}
+
+			// 整批的 Idempotency-Key 按下标派生出每条消息的 key，整批重试时已完成的消息不会重复执行
+			const batchKey = request.headers.get("Idempotency-Key");
+			const shared = {
+				async: url.searchParams.get("async") === "1",
+				caller,
+				clientId: clientIdOf(request, caller)
+			};
+
+			// 按 actorKey 分组，组内保持数组顺序
+			const groups = new Map();
+			items.forEach((item, index) => {
+				const actorKey = `${item?.actorType}:${item?.actorId}`;
+				if (!groups.has(actorKey)) groups.set(actorKey, []);
+				groups.get(actorKey).push(index);
+			});
+
+			const results = new Array(items.length);
+			await runWithConcurrency([...groups.values()], BATCH_CONCURRENCY, async indexes => {
+				for (const index of indexes) {
+					const idempotencyKey = items[index]?.idempotencyKey || (batchKey ? `${batchKey}:${index}` : null);
+					results[index] = { index, ...(await invokeBatchItem(env, items[index], idempotencyKey, shared)) };
+				}
+			});
+
+			return new Response(
+				JSON.stringify({ ok: results.every(r => r.ok), count: results.length, results }, null, 2),
+				{ status: 200, headers: { "Content-Type": "application/json" } }
+			);
+		}
+
 		// 2) API: 查询某个 Actor 的状态（调用 DO 的 /status）
 		if (url.pathname === "/actor-status") {
 			const actorType = url.searchParams.get("actorType");
@@ -48,7 +132,55 @@ const worker = {
 
 			const actorDoId = env.GOLDFISH_ACTOR.idFromName(actorKey);
 			const actorStub = env.GOLDFISH_ACTOR.get(actorDoId);
-			return actorStub.fetch("https://actor.internal/status");
+			const resp = await actorStub.fetch("https://actor.internal/status");
+
+			// 学生只能看到 statusView 过滤后的内容（例如看不到别人的答案）
+			if (caller && caller.role === "student") {
+				const view = viewForCaller(getActorType(actorType), await resp.json(), caller);
+				if (!view) {
+					return authErrorResponse(new AuthError("FORBIDDEN", `Role student may not view ${actorKey}`, 403));
+				}
+				return new Response(JSON.stringify(view, null, 2), {
+					headers: { "Content-Type": "application/json" }
+				});
+			}
+			return resp;
+		}
+
+		// 2.1) WebSocket: 订阅某个 Actor 的 memory 变化（连上先推完整快照，之后每条消息处理完推 diff）
+		if (url.pathname === "/subscribe") {
+			const actorType = url.searchParams.get("actorType");
+			const actorId = url.searchParams.get("actorId");
+			if (!actorType || !actorId) {
+				return new Response("actorType and actorId are required", { status: 400 });
+			}
+			if (request.headers.get("Upgrade") !== "websocket") {
+				return new Response("Expected WebSocket upgrade", { status: 426 });
+			}
+
+			// 连接由 Actor DO 自己持有（hibernatable），调用方身份交给它按 statusView 过滤推送内容
+			const headers = new Headers(request.headers);
+			headers.set("X-Goldfish-Caller", JSON.stringify(caller));
+
+			const actorStub = env.GOLDFISH_ACTOR.get(env.GOLDFISH_ACTOR.idFromName(`${actorType}:${actorId}`));
+			return actorStub.fetch(
+				`https://actor.internal/subscribe?actorType=${encodeURIComponent(actorType)}&actorId=${encodeURIComponent(actorId)}`,
+				{ headers }
+			);
+		}
+
+		// 2.2) SSE: 某个房间的领域事件流（questionStarted、answerSubmitted 等），支持 Last-Event-ID 续传
+		if (url.pathname === "/events" && request.method === "GET") {
+			const roomId = url.searchParams.get("roomId");
+			if (!roomId) {
+				return new Response("roomId is required", { status: 400 });
+			}
+
+			const actorStub = env.GOLDFISH_ACTOR.get(env.GOLDFISH_ACTOR.idFromName(`room:${roomId}`));
+			const lastEventId = request.headers.get("Last-Event-ID") || url.searchParams.get("lastEventId") || "";
+			return actorStub.fetch(
+				`https://actor.internal/events?lastEventId=${encodeURIComponent(lastEventId)}`
+			);
 		}
 
 		// 3) API: 查询某个 actorType 的 Router 状态（队列、busy 等）
@@ -58,11 +190,56 @@ const worker = {
         return new Response("actorType is required", { status: 400 });
       }
 
+      // 调用方令牌桶的 key 带着每个调用方的 sub，只给 admin（或未开启认证时）看
+      const withCallers = !caller || caller.role === "admin";
       const routerId = env.GOLDFISH_ROUTER.idFromName(actorType);
       const routerStub = env.GOLDFISH_ROUTER.get(routerId);
-      return routerStub.fetch("https://router.internal/status");
+      return routerStub.fetch(`https://router.internal/status${withCallers ? "?callers=1" : ""}`);
     }
 
+		// 3.1) API: 查询一条消息的处理状态与结果（async 调用或同步超时后）
+		if (url.pathname === "/message-status" && request.method === "GET") {
+			const actorType = url.searchParams.get("actorType");
+			const messageId = url.searchParams.get("messageId");
+			if (!actorType || !messageId) {
+				return new Response("actorType and messageId are required", { status: 400 });
+			}
+
+			const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(actorType));
+			return routerStub.fetch(
+				`https://router.internal/message-status?messageId=${encodeURIComponent(messageId)}`
+			);
+		}
+
+		// 3.2) API: 查看 / 设置某个 actorType 的调度 policy（queueLimit、timeoutMs、maxPayloadBytes）
+		if (url.pathname === "/router-policy") {
+			if (request.method === "GET") {
+				const actorType = url.searchParams.get("actorType");
+				if (!actorType) {
+					return new Response("actorType is required", { status: 400 });
+				}
+				const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(actorType));
+				return routerStub.fetch("https://router.internal/policy");
+			}
+
+			if (request.method === "POST") {
+				const body = await request.json().catch(() => null);
+				if (!body) {
+					return new Response("Invalid JSON", { status: 400 });
+				}
+				if (!body.actorType || body.policy === undefined) {
+					return new Response("actorType and policy are required", { status: 400 });
+				}
+
+				const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(body.actorType));
+				return routerStub.fetch("https://router.internal/policy", {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify(body)
+				});
+			}
+		}
+
 		// 4) API: 初始化某个 Actor 的状态
 		if (url.pathname === "/reset-actor" && request.method === "POST") {
 			const body = await request.json().catch(() => null);
@@ -103,6 +280,85 @@ const worker = {
 			});
 		}
 
+		// 5.0) 测试用：重启某个 actorType 的 Router（丢掉内存状态，从 storage 恢复），
+		// 和 probe actor 一样只在 GOLDFISH_ENABLE_PROBE 打开时存在
+		if (url.pathname === "/restart-router" && request.method === "POST" && isEnabled(env.GOLDFISH_ENABLE_PROBE)) {
+			const body = await request.json().catch(() => null);
+			if (!body) return new Response("Invalid JSON", { status: 400 });
+
+			const { actorType } = body;
+			if (!actorType) {
+				return new Response("actorType is required", { status: 400 });
+			}
+
+			const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(actorType));
+			return routerStub.fetch("https://router.internal/admin-restart", { method: "POST" });
+		}
+
+		// 5.1) API: 死信管理（处理失败 / 被 reject 丢弃的消息）
+		//   GET  /dead-letters?actorType=room[&messageId=...]  列表 / 单条详情
+		//   POST /dead-letters/replay  body: { actorType, messageIds? }  重新投递
+		//   POST /dead-letters/purge   body: { actorType, messageIds? }  删除
+		if (url.pathname === "/dead-letters" && request.method === "GET") {
+			const actorType = url.searchParams.get("actorType");
+			if (!actorType) {
+				return new Response("actorType is required", { status: 400 });
+			}
+
+			const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(actorType));
+			const messageId = url.searchParams.get("messageId");
+			const query = messageId ? `?messageId=${encodeURIComponent(messageId)}` : "";
+			return routerStub.fetch(`https://router.internal/dead-letters${query}`);
+		}
+
+		if ((url.pathname === "/dead-letters/replay" || url.pathname === "/dead-letters/purge")
+			&& request.method === "POST") {
+			const body = await request.json().catch(() => null);
+			if (!body) {
+				return new Response("Invalid JSON", { status: 400 });
+			}
+			if (!body.actorType) {
+				return new Response("actorType is required", { status: 400 });
+			}
+
+			const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(body.actorType));
+			return routerStub.fetch(`https://router.internal${url.pathname}`, {
+				method: "POST",
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ messageIds: body.messageIds })
+			});
+		}
+
+		// 5.2) API: 定时消息（/invoke 带 deliverAt / delayMs 创建）
+		//   GET  /scheduled?actorType=room[&actorId=...]         列表
+		//   POST /scheduled/cancel  body: { actorType, scheduleIds }  取消还没投递的消息
+		// 除 admin 外只能看到 / 取消自己创建的
+		if ((url.pathname === "/scheduled" && request.method === "GET")
+			|| (url.pathname === "/scheduled/cancel" && request.method === "POST")) {
+			const body = request.method === "POST" ? await request.json().catch(() => null) : null;
+			if (request.method === "POST" && !body) {
+				return new Response("Invalid JSON", { status: 400 });
+			}
+
+			const actorType = body ? body.actorType : url.searchParams.get("actorType");
+			if (!actorType) {
+				return new Response("actorType is required", { status: 400 });
+			}
+
+			const owner = caller && caller.role !== "admin" ? caller.sub : "";
+			const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(actorType));
+			if (body) {
+				return routerStub.fetch("https://router.internal/scheduled/cancel", {
+					method: "POST",
+					headers: { "Content-Type": "application/json" },
+					body: JSON.stringify({ scheduleIds: body.scheduleIds, owner })
+				});
+			}
+
+			const query = new URLSearchParams({ actorId: url.searchParams.get("actorId") || "", owner });
+			return routerStub.fetch(`https://router.internal/scheduled?${query}`);
+		}
+
 		// 6) 静态资源
 		if (url.pathname === "/student" || url.pathname === "/") {
       // 把路径改成 /question_board.html 交给 ASSETS
@@ -127,6 +383,77 @@ const worker = {
   }
 };
 
+/**
+ * 把一条消息交给它的 actorType 对应的 Router DO 调度（约定：相同 actorType → 同一个 Router DO 实例）
+ */
+function routeMessage(env, message) {
+  const routerStub = env.GOLDFISH_ROUTER.get(env.GOLDFISH_ROUTER.idFromName(message.actorType));
+  return routerStub.fetch("https://router.internal/route", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(message)
+  });
+}
+
+/**
+ * 限流用的调用方标识：认证后按身份，否则按客户端 IP
+ */
+function clientIdOf(request, caller) {
+  return caller
+    ? `${caller.role}:${caller.sub}`
+    : request.headers.get("CF-Connecting-IP") || "anonymous";
+}
+
+/**
+ * /invoke-batch 里的一条：做和 /invoke 相同的检查后交给 Router，
+ * 返回 { status, ...body }；失败只影响这一条
+ */
+async function invokeBatchItem(env, item, idempotencyKey, shared) {
+  const { actorType, actorId, payload, mode, deliverAt, delayMs } = item || {};
+  if (!actorType || !actorId) {
+    return { status: 400, ok: false, code: "INVALID_MESSAGE", error: "actorType and actorId are required" };
+  }
+
+  try {
+    authorizeMessage(shared.caller, getActorType(actorType), actorType, actorId, payload);
+  } catch (err) {
+    if (!(err instanceof AuthError)) throw err;
+    return { status: err.status, ok: false, code: err.code, error: err.message };
+  }
+
+  // Router DO 不可用时只让这一条失败，前面已经执行的消息的结果照常返回
+  let resp;
+  let text;
+  try {
+    resp = await routeMessage(env, { actorType, actorId, payload, mode, idempotencyKey, deliverAt, delayMs, ...shared });
+    text = await resp.text();
+  } catch (err) {
+    return { status: 502, ok: false, code: "ROUTER_UNAVAILABLE", error: err.message };
+  }
+  try {
+    return { status: resp.status, ...JSON.parse(text) };
+  } catch {
+    return { status: resp.status, ok: false, error: text };
+  }
+}
+
+function isEnabled(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+/**
+ * 用最多 limit 个并发依次处理 tasks
+ */
+async function runWithConcurrency(tasks, limit, run) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      await run(tasks[next++]);
+    }
+  });
+  await Promise.all(lanes);
+}
+
 // 必须导出 default.fetch 作为 Worker 入口
 export default worker;
 
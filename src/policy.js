@@ -0,0 +1,166 @@
+// src/policy.js
+
+/**
+ * Router 调度策略（policy）的默认值、配置解析与合并。
+ *
+ * 一个 actor 的最终 policy 按以下顺序逐层覆盖：
+ *  1. DEFAULT_POLICY
+ *  2. wrangler vars 里的 GOLDFISH_POLICIES[actorType]
+ *  3. 通过 POST /router-policy 存进 Router storage 的 actorType 级配置
+ *  4. 同样存进 storage 的单个 actor 级覆盖
+ */
+
+export const DEFAULT_POLICY = {
+  queueLimit: 100,                  // 队列长度上限
+  timeoutMs: 30_000,                // 单请求超时
+  maxPayloadBytes: 64 * 1024,       // 简单的 payload 大小限制
+  reentrant: false,                 // 是否允许调用链上的下游 actor 回调自己（否则按死锁拒绝）
+  resultTtlMs: 10 * 60_000,         // async / 超时消息的结果保留多久，供 /message-status 查询
+  idempotencyWindowMs: 10 * 60_000, // 相同 idempotencyKey 在此时间内只处理一次
+  retry: {                          // Actor DO 暂时性失败（抛错 / retryOn 里的状态码）时的重试
+    maxAttempts: 3,                 // 含第一次调用；1 表示不重试
+    baseDelayMs: 100,               // 第 n 次重试前等待 baseDelayMs * 2^(n-1)
+    maxDelayMs: 2_000,              // 单次等待上限
+    retryOn: [502, 503, 504]        // 视为暂时性失败的 /invoke 状态码
+  },
+  rateLimit: {                      // 外部请求（/invoke）的令牌桶限流，null 表示不限
+    perCaller: null,                // 每个调用方在本 actorType 上：{ capacity, refillPerSec }
+    perActor: null                  // 每个 actorKey：{ capacity, refillPerSec }
+  }
+};
+
+// 每个字段的校验：返回错误信息，合法时返回 null
+const POLICY_FIELDS = {
+  queueLimit: positiveInteger,
+  timeoutMs: positiveInteger,
+  maxPayloadBytes: positiveInteger,
+  reentrant: boolean,
+  resultTtlMs: positiveInteger,
+  idempotencyWindowMs: positiveInteger,
+  retry: retryPolicy,
+  rateLimit: rateLimitPolicy
+};
+
+const RETRY_FIELDS = {
+  maxAttempts: positiveInteger,
+  baseDelayMs: nonNegativeInteger,
+  maxDelayMs: nonNegativeInteger,
+  retryOn: statusList
+};
+
+const RATE_LIMIT_FIELDS = {
+  perCaller: tokenBucket,
+  perActor: tokenBucket
+};
+
+/**
+ * 解析 wrangler vars 中的 JSON 配置：既可以是对象（vars 里直接写 JSON），也可以是字符串
+ */
+export function parseJsonVar(name, value) {
+  if (value === undefined || value === null || value === "") return {};
+  if (typeof value === "object") return value;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.error(`Invalid ${name}:`, value);
+    return {};
+  }
+}
+
+/**
+ * 校验一份（部分）policy，返回错误列表；空数组表示合法
+ */
+export function validatePolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return ["policy must be an object"];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(policy)) {
+    const check = POLICY_FIELDS[key];
+    if (!check) {
+      errors.push(`Unknown policy field: ${key}`);
+      continue;
+    }
+    const error = check(value);
+    if (error) errors.push(`${key} ${error}`);
+  }
+  return errors;
+}
+
+/**
+ * 按优先级合并多层 policy，跳过空层；retry 这类对象字段按子字段合并
+ */
+export function mergePolicies(...layers) {
+  const merged = { ...DEFAULT_POLICY };
+  for (const layer of layers.filter(Boolean)) {
+    for (const [key, value] of Object.entries(layer)) {
+      merged[key] = isPlainObject(merged[key]) && isPlainObject(value)
+        ? { ...merged[key], ...value }
+        : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * 第 attempt 次调用失败后，重试前要等待的毫秒数（指数退避，不超过 maxDelayMs）
+ */
+export function retryDelay(retry, attempt) {
+  return Math.min(retry.maxDelayMs, retry.baseDelayMs * 2 ** (attempt - 1));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function boolean(value) {
+  return typeof value === "boolean" ? null : "must be a boolean";
+}
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? null : "must be a positive integer";
+}
+
+function nonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0 ? null : "must be a non-negative integer";
+}
+
+function statusList(value) {
+  const valid = Array.isArray(value) && value.every(code => Number.isInteger(code) && code >= 400 && code <= 599);
+  return valid ? null : "must be an array of HTTP error status codes";
+}
+
+function positiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0 ? null : "must be a positive number";
+}
+
+function retryPolicy(value) {
+  return checkFields(value, RETRY_FIELDS);
+}
+
+function rateLimitPolicy(value) {
+  return checkFields(value, RATE_LIMIT_FIELDS);
+}
+
+function tokenBucket(value) {
+  if (value === null) return null;
+  if (!isPlainObject(value)) return "must be null or { capacity, refillPerSec }";
+  if (value.capacity === undefined || value.refillPerSec === undefined) {
+    return "must set both capacity and refillPerSec";
+  }
+  return checkFields(value, { capacity: positiveInteger, refillPerSec: positiveNumber });
+}
+
+function checkFields(value, fields) {
+  if (!isPlainObject(value)) return "must be an object";
+
+  for (const [key, field] of Object.entries(value)) {
+    const check = fields[key];
+    if (!check) return `has unknown field ${key}`;
+    const error = check(field);
+    if (error) return `${key} ${error}`;
+  }
+  return null;
+}
@@ -0,0 +1,182 @@
+// src/probe/index.js
+import { ActorError } from "../errors.js";
+
+/**
+ * ProbeActor：端到端测试用的 actor，本身没有业务逻辑，
+ * 只把 Router / Actor DO 的各种行为（nextPolicy、handler 错误、暂时性故障、
+ * actor 之间的 ask / tell、慢 handler）按 payload 的要求触发出来，供 test/*.js 断言。
+ *
+ * memory 示例：
+ * {
+ *   kind: "probe",
+ *   log: [{ type: "echo", value: "a", at: 1731234567890 }],
+ *   flakyCalls: 0
+ * }
+ *
+ * 没有声明 auth 规则：开启认证后只有 admin 能从外部调用。
+ * 只在 GOLDFISH_ENABLE_PROBE 打开时由 index.js 注册，不要在部署的 Worker 上打开。
+ */
+
+// sleep 的上限，避免一条测试消息把 actor 卡住太久
+const MAX_SLEEP_MS = 10000;
+
+// 每种消息的 payload schema，Router 入队前校验
+const schemas = {
+  sleep: {
+    type: "object",
+    properties: {
+      ms: { type: "integer", required: true, minimum: 0, maximum: MAX_SLEEP_MS }
+    }
+  },
+  fail: {
+    type: "object",
+    properties: {
+      code: { type: "string" },
+      status: { type: "integer", minimum: 400, maximum: 599 },
+      message: { type: "string" },
+      unexpected: { type: "boolean" }
+    }
+  },
+  call: {
+    type: "object",
+    properties: {
+      mode: { type: "string", enum: ["ask", "tell"] },
+      actorType: { type: "string" },
+      actorId: { type: "string", required: true },
+      payload: { type: "object", required: true },
+      failAfter: { type: "boolean" }
+    }
+  },
+  flaky: {
+    type: "object",
+    properties: {
+      failures: { type: "integer", required: true, minimum: 0 }
+    }
+  }
+};
+
+export const probeActor = {
+  initialMemory: () => ({
+    kind: "probe",
+    log: [],
+    flakyCalls: 0
+  }),
+  messages: {
+    echo,
+    reply,
+    fail,
+    sleep,
+    call,
+    flaky
+  },
+  schemas
+};
+
+/**
+ * ProbeActor 单独作为一个 bundle 注册
+ */
+export const probeBundle = {
+  name: "probe",
+  actorTypes: {
+    probe: probeActor
+  }
+};
+
+// 记一笔日志并原样返回 value，用来观察消息的到达顺序
+async function echo(payload, ctx) {
+  const entry = record(ctx, "echo", payload.value);
+
+  return {
+    result: {
+      ok: true,
+      action: "echo",
+      actorId: ctx.actorId,
+      value: entry.value,
+      count: ctx.memory.log.length
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 返回调用方指定的 result / nextPolicy（wait、reject、redirectTo）
+async function reply(payload, ctx) {
+  record(ctx, "reply", payload.value);
+
+  return {
+    result: { ok: true, action: "reply", actorId: ctx.actorId, value: payload.value ?? null },
+    nextPolicy: payload.nextPolicy || { mode: "immediate" },
+    spawn: payload.spawn || []
+  };
+}
+
+// 先改 memory 再抛错：ActorError 按给定的 code / status 返回，unexpected 时抛普通异常（HANDLER_ERROR 500）
+async function fail(payload, ctx) {
+  record(ctx, "fail", payload.value);
+
+  const message = payload.message || "Probe failure";
+  if (payload.unexpected) {
+    throw new Error(message);
+  }
+  throw new ActorError(payload.code || "PROBE_FAILED", message, payload.status || 400);
+}
+
+// 慢 handler：用来观察并发上限、排队和超时
+async function sleep(payload, ctx) {
+  const startedAt = Date.now();
+  await new Promise(resolve => setTimeout(resolve, payload.ms));
+  record(ctx, "sleep", payload.ms);
+
+  return {
+    result: { ok: true, action: "sleep", actorId: ctx.actorId, startedAt, endedAt: Date.now() },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+/**
+ * 向另一个 actor 发一条消息（默认 ask，actorType 默认 probe），把对方的返回值原样带回。
+ * 调用前后各记一笔日志；failAfter 时拿到返回值后再抛错，用来观察外层回滚。
+ */
+async function call(payload, ctx) {
+  const { mode = "ask", actorType = "probe", actorId, failAfter } = payload;
+
+  record(ctx, "call", `${actorType}:${actorId}`);
+  const send = mode === "tell" ? ctx.tell : ctx.ask;
+  const response = await send(actorType, actorId, payload.payload);
+  record(ctx, "called", `${actorType}:${actorId}`);
+
+  if (failAfter) {
+    throw new ActorError("PROBE_FAILED", `Failed after calling ${actorType}:${actorId}`, 500);
+  }
+
+  return {
+    result: { ok: true, action: "call", actorId: ctx.actorId, response },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+/**
+ * 前 failures 次调用让 Actor DO 的 /invoke 本身出错（而不是 handler 报错），
+ * 模拟 DO 重启、部署切换这类暂时性故障，Router 会按 policy.retry 重试。
+ * 计数在 memory 落盘之后才出错，所以重试时能看到之前的次数。
+ */
+async function flaky(payload, ctx) {
+  const { memory } = ctx;
+  memory.flakyCalls += 1;
+  record(ctx, "flaky", memory.flakyCalls);
+
+  // BigInt 无法 JSON 序列化：memory 存盘之后，Actor DO 组装响应时抛错
+  const result = memory.flakyCalls <= payload.failures
+    ? { ok: false, attempt: BigInt(memory.flakyCalls) }
+    : { ok: true, action: "flaky", actorId: ctx.actorId, attempts: memory.flakyCalls };
+
+  return {
+    result,
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+function record(ctx, type, value = null) {
+  const entry = { type, value, at: ctx.now };
+  ctx.memory.log.push(entry);
+  return entry;
+}
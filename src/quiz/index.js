@@ -0,0 +1,22 @@
+// src/quiz/index.js
+import { teacherActor } from "./teacher.js";
+import { roomActor } from "./room.js";
+import { studentActor } from "./student.js";
+import { questionActor } from "./question.js";
+
+/**
+ * 课堂抢答系统：作为一个 bundle 注册到 actorType 注册表
+ *  - teacher  老师
+ *  - room     房间（一个教室/一场活动）
+ *  - student  学生
+ *  - question 单个题目
+ */
+export const quizBundle = {
+  name: "quiz",
+  actorTypes: {
+    teacher: teacherActor,
+    room: roomActor,
+    student: studentActor,
+    question: questionActor
+  }
+};
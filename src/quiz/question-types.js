@@ -0,0 +1,268 @@
+// src/quiz/question-types.js
+
+/**
+ * QuestionActor 支持的题型。每种题型提供：
+ *  - definitionError(q)：题目定义（createQuestions / initQuestion）里答案字段是否合法，返回错误信息或 null
+ *  - answerError(question, answer)：学生提交的答案格式是否合法，返回错误信息或 null
+ *  - grade(question, answer)：判分，返回 { correct, credit? }；credit 是 0~1 的部分得分（只有能部分得分的题型才有）
+ *
+ * 题型和答案：
+ *  - single    单选，correctOption: "B"                       答案 "B"
+ *  - multiple  多选，correctOptions: ["A", "C"]，部分得分      答案 ["A", "C"]
+ *  - trueFalse 判断，correctAnswer: true                      答案 true / false
+ *  - numeric   数值，correctAnswer: 3.14, tolerance?: 0.01    答案 3.14
+ *  - text      填空，acceptedAnswers?: [...]（规范化后比较）/ answerPattern?: "正则"，caseSensitive?
+ *                                                             答案 "..."
+ *  - ordering  排序，correctOrder: ["C", "A", "B"]，部分得分   答案 ["C", "A", "B"]
+ * 选项按顺序对应字母 A、B、C…
+ */
+
+// 题目定义里题型相关的字段（TeacherActor 原样转给 initQuestion，initQuestion 原样存进 memory）
+export const ANSWER_KEY_FIELDS = [
+  "correctOption",
+  "correctOptions",
+  "correctAnswer",
+  "tolerance",
+  "acceptedAnswers",
+  "answerPattern",
+  "caseSensitive",
+  "correctOrder"
+];
+
+// 题目结束前不给学生看的字段
+export const HIDDEN_FIELDS = ["correctOption", "correctOptions", "correctAnswer", "acceptedAnswers", "answerPattern", "correctOrder"];
+
+// 文本答案的长度上限（也限制老师的正则要匹配的输入长度）
+const MAX_TEXT_ANSWER_LENGTH = 200;
+
+// answerPattern 里最多几个不限次数的量词（*、+、{n,m}）；相邻的量词叠在一起，匹配耗时按答案长度的幂增长
+const MAX_PATTERN_QUANTIFIERS = 3;
+
+export const QUESTION_TYPES = {
+  single: {
+    definitionError: q => (q.correctOption !== undefined && q.options && !optionLetters(q.options.length).includes(q.correctOption)
+      ? `correctOption must be one of ${optionLetters(q.options.length).join(", ")}`
+      : null),
+    answerError: (question, answer) => letterError(question, answer),
+    grade: (question, answer) => ({ correct: answer === question.correctOption })
+  },
+
+  multiple: {
+    definitionError: q => {
+      if (!q.options || q.options.length < 2) return "multiple questions need at least 2 options";
+      return named("correctOptions", letterListError(q.correctOptions, q.options.length, 1));
+    },
+    answerError: (question, answer) => letterListError(answer, question.options.length, 1),
+    // 选对的按比例得分，选错的一个抵消一个选对的，不低于 0
+    grade: (question, answer) => {
+      const correct = new Set(question.correctOptions);
+      const hits = answer.filter(letter => correct.has(letter)).length;
+      const misses = answer.length - hits;
+      const credit = Math.max(0, (hits - misses) / correct.size);
+      return { correct: credit === 1, credit: roundCredit(credit) };
+    }
+  },
+
+  trueFalse: {
+    definitionError: q => (typeof q.correctAnswer !== "boolean" ? "correctAnswer must be true or false" : null),
+    answerError: (question, answer) => (typeof answer !== "boolean" ? "must be true or false" : null),
+    grade: (question, answer) => ({ correct: answer === question.correctAnswer })
+  },
+
+  numeric: {
+    definitionError: q => {
+      if (!isFiniteNumber(q.correctAnswer)) return "correctAnswer must be a number";
+      if (q.tolerance !== undefined && !(isFiniteNumber(q.tolerance) && q.tolerance >= 0)) {
+        return "tolerance must be a non-negative number";
+      }
+      return null;
+    },
+    answerError: (question, answer) => (!isFiniteNumber(answer) ? "must be a number" : null),
+    grade: (question, answer) => ({
+      // 容差比较加一点余量，避免 0.1 + 0.2 这类浮点误差把边界上的答案判错
+      correct: Math.abs(answer - question.correctAnswer) <= (question.tolerance || 0) + 1e-9
+    })
+  },
+
+  text: {
+    definitionError: q => {
+      const hasAccepted = Array.isArray(q.acceptedAnswers) && q.acceptedAnswers.length > 0;
+      if (!hasAccepted && !q.answerPattern) return "text questions need acceptedAnswers or answerPattern";
+      if (q.acceptedAnswers !== undefined
+        && !(Array.isArray(q.acceptedAnswers) && q.acceptedAnswers.every(a => typeof a === "string" && normalizeText(a)))) {
+        return "acceptedAnswers must be an array of non-empty strings";
+      }
+      if (q.answerPattern !== undefined) {
+        if (typeof q.answerPattern !== "string") return "answerPattern must be a string";
+        try {
+          new RegExp(q.answerPattern, "u");
+        } catch (err) {
+          return `answerPattern is not a valid regular expression: ${err.message}`;
+        }
+        return named("answerPattern", backtrackingError(q.answerPattern));
+      }
+      return null;
+    },
+    answerError: (question, answer) => {
+      if (typeof answer !== "string" || !answer.trim()) return "must be a non-empty string";
+      if (answer.length > MAX_TEXT_ANSWER_LENGTH) return `must be at most ${MAX_TEXT_ANSWER_LENGTH} characters`;
+      return null;
+    },
+    // acceptedAnswers 按规范化后的文本比较；answerPattern 对去掉首尾空白的答案做整体匹配
+    grade: (question, answer) => {
+      const fold = text => (question.caseSensitive ? text : text.toLowerCase());
+      const normalized = fold(normalizeText(answer));
+      const accepted = (question.acceptedAnswers || []).some(a => fold(normalizeText(a)) === normalized);
+      const matched = !!question.answerPattern
+        && new RegExp(`^(?:${question.answerPattern})$`, question.caseSensitive ? "u" : "iu").test(answer.trim());
+      return { correct: accepted || matched };
+    }
+  },
+
+  ordering: {
+    definitionError: q => {
+      if (!q.options || q.options.length < 2) return "ordering questions need at least 2 options";
+      return named("correctOrder", permutationError(q.correctOrder, q.options.length));
+    },
+    answerError: (question, answer) => permutationError(answer, question.options.length),
+    // 按位置算：放对位置的项占的比例
+    grade: (question, answer) => {
+      const inPlace = answer.filter((letter, i) => letter === question.correctOrder[i]).length;
+      const credit = inPlace / question.correctOrder.length;
+      return { correct: credit === 1, credit: roundCredit(credit) };
+    }
+  }
+};
+
+export const QUESTION_TYPE_NAMES = Object.keys(QUESTION_TYPES);
+
+/**
+ * 题目定义里设置了的答案字段
+ */
+export function pickAnswerKey(q) {
+  return Object.fromEntries(ANSWER_KEY_FIELDS.filter(field => q[field] !== undefined).map(field => [field, q[field]]));
+}
+
+export function questionTypeOf(question) {
+  return QUESTION_TYPES[question.questionType || "single"];
+}
+
+export function optionLetters(count) {
+  return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+}
+
+/**
+ * 填空题比较用的规范化：Unicode 兼容形式、去掉首尾空白、连续空白合成一个
+ */
+export function normalizeText(text) {
+  return text.normalize("NFKC").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * credit 保留三位小数
+ */
+export function roundCredit(credit) {
+  return Math.round(credit * 1000) / 1000;
+}
+
+function letterError(question, answer) {
+  const letters = optionLetters(question.options?.length || 0);
+  if (typeof answer !== "string") return "must be an option letter";
+  return letters.length > 0 && !letters.includes(answer) ? `must be one of ${letters.join(", ")}` : null;
+}
+
+// 选项字母数组：至少 minItems 个、不重复、都在选项范围内
+function letterListError(value, count, minItems) {
+  const letters = optionLetters(count);
+  if (!Array.isArray(value) || value.length < minItems) {
+    return `must be an array of at least ${minItems} option letter${minItems === 1 ? "" : "s"}`;
+  }
+  if (!value.every(letter => letters.includes(letter))) return `may only contain ${letters.join(", ")}`;
+  if (new Set(value).size !== value.length) return "must not repeat options";
+  return null;
+}
+
+// 全部选项的一个排列
+function permutationError(value, count) {
+  const error = letterListError(value, count, count);
+  if (error) return error;
+  return value.length !== count ? `must list each of the ${count} options once` : null;
+}
+
+/**
+ * answerPattern 在 QuestionActor 里对每个学生的答案执行，要挡掉会灾难性回溯的写法：
+ *  - 重复一个本身含量词或分支的组（*、+ 或次数上限大于 1 的 {n}、{n,}、{n,m}），例如 (a+)+、(a|aa)*、(a+){12}
+ *  - 反向引用
+ *  - 超过 MAX_PATTERN_QUANTIFIERS 个不限次数的量词
+ * 只做保守的语法扫描（调用前已确认能编译），返回错误信息或 null
+ */
+function backtrackingError(pattern) {
+  // 每层组记录里面有没有量词或分支（匹配方式不唯一）；最外层不会被重复
+  const groups = [{ ambiguous: false }];
+  let quantifiers = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    let closed = null;
+
+    if (ch === "(") {
+      groups.push({ ambiguous: false });
+      // (?:、(?=、(?<name> 这些前缀里的 ? 不是量词
+      if (pattern[i + 1] === "?") i += 1;
+      continue;
+    }
+    if (ch === "|") {
+      groups[groups.length - 1].ambiguous = true;
+      continue;
+    }
+
+    if (ch === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) return "must not use backreferences";
+      i += 1;
+    } else if (ch === "[") {
+      // 字符类里的字符没有特殊含义，跳到没转义的 ]
+      for (i += 1; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i += 1;
+      }
+    } else if (ch === ")") {
+      closed = groups.pop();
+    }
+
+    // 紧跟在这个原子（转义字符、字符类、组）后面的量词；? 和 {n} 有上限，不算不限次数
+    const rest = pattern.slice(i + 1);
+    const unbounded = /^(?:[*+]|\{\d+,\d*\})/.test(rest);
+    if (closed?.ambiguous) {
+      // 固定次数也会让回溯按次数的指数增长，例如 (a+){12}；只有 ? 和 {0,1} / {1} 这样最多一次的可以
+      if (repeatLimit(rest) > 1) return "must not repeat a group that contains a quantifier or alternation, e.g. (a+)+ or (a+){12}";
+      groups[groups.length - 1].ambiguous = true;
+    }
+    if (unbounded) {
+      quantifiers += 1;
+      groups[groups.length - 1].ambiguous = true;
+    }
+  }
+
+  return quantifiers > MAX_PATTERN_QUANTIFIERS
+    ? `must use at most ${MAX_PATTERN_QUANTIFIERS} unbounded quantifiers (*, +, {n,m})`
+    : null;
+}
+
+/**
+ * pattern 开头的量词最多让前面的原子匹配几次：没有量词为 1，* / + / {n,} 为 Infinity
+ */
+function repeatLimit(pattern) {
+  if (pattern[0] === "*" || pattern[0] === "+") return Infinity;
+  if (pattern[0] === "?") return 1;
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(pattern);
+  if (!braces) return 1;
+  if (!braces[2]) return Number(braces[1]);
+  return braces[3] === "" ? Infinity : Number(braces[3]);
+}
+
+function named(field, error) {
+  return error ? `${field} ${error}` : null;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
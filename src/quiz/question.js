@@ -0,0 +1,480 @@
+// src/quiz/question.js
+import { ActorError } from "../errors.js";
+import { rules } from "../auth.js";
+import { scoringSchema } from "./scoring.js";
+import { ANSWER_KEY_FIELDS, HIDDEN_FIELDS, QUESTION_TYPE_NAMES, questionTypeOf, roundCredit } from "./question-types.js";
+
+/**
+ * QuestionActor 负责：
+ *  - 保存题面 / 选项 / 正确答案 / 时长；题型（单选、多选、判断、数值、填空、排序）见 question-types.js
+ *  - 管理一题的倒计时窗口（startTime ~ startTime + durationMs），到点自动结束并通知 RoomActor 计分
+ *  - 只接受房间成员对房间当前题目的作答（成员名单由 RoomActor 在开始题目 / 有人加入时推过来）
+ *  - 按作答策略（answerPolicy）记录学生的答案和每一次作答的历史
+ *  - 提供 getSummary 给 RoomActor 统计成绩
+ *
+ * memory 示例：
+ * {
+ *   kind: "question",
+ *   questionId: "q1",
+ *   roomId: "class-101",
+ *   questionType: "single",
+ *   text: "...",
+ *   options: ["A...", "B...", ...],
+ *   correctOption: "B",
+ *   durationMs: 10000,
+ *   scoring: { points: 2 },      // 可选，覆盖房间计分规则的字段，见 scoring.js
+ *   answerPolicy: { mode: "lock" },  // 见 ANSWER_POLICY_MODES
+ *   startTime: 1733512400000,
+ *   status: "pending" | "running" | "ended",   // 只有 running 的题目是房间的当前题目
+ *   roster: ["s1", "s2"],    // 房间的学生名单（RoomActor 推送）
+ *   answers: {               // 每个学生计分用的那次作答
+ *     "s1": { option: "B", correct: true, answeredAt: 1733512403000, late: false, attempt: 1 }
+ *     // 其他题型记 answer；能部分得分的题型（多选、排序）和多次作答打了折的答案还有 credit: 0~1
+ *     "s2": { answer: ["A", "C"], correct: false, credit: 0.5, answeredAt: ..., late: false, attempt: 2 }
+ *   },
+ *   answerHistory: {         // 每个学生的全部作答，按时间顺序，格式同 answers
+ *     "s2": [{ answer: ["A"], ..., attempt: 1 }, { answer: ["A", "C"], ..., attempt: 2 }]
+ *   }
+ * }
+ */
+
+/**
+ * 作答策略：学生能否修改已经提交的答案
+ *  - lock      第一次作答即锁定（默认）
+ *  - change    截止前可以随意修改，以最后一次为准
+ *  - attempts  最多 maxAttempts 次，以最后一次为准；第 n 次作答的 credit 乘以 1 - attemptDecay * (n - 1)（不低于 0）
+ * 超时的作答只记进历史，不会替换截止前的答案。
+ */
+export const ANSWER_POLICY_MODES = ["lock", "change", "attempts"];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_ATTEMPT_DECAY = 0.25;
+
+const answerPolicySchema = {
+  type: "object",
+  properties: {
+    mode: { type: "string", required: true, enum: ANSWER_POLICY_MODES },
+    maxAttempts: { type: "integer", minimum: 1, maximum: 20 },
+    attemptDecay: { type: "number", minimum: 0, maximum: 1 }
+  }
+};
+
+// 选项按顺序对应字母 A、B、C…，作答 / 正确答案都用字母
+const optionLetterSchema = { type: "string", pattern: "^[A-Z]$" };
+
+/**
+ * 一道题的定义：TeacherActor.createQuestions 的 questions[i]，也是 initQuestion 的主体
+ */
+export const questionSchema = {
+  type: "object",
+  properties: {
+    questionId: { type: "string", required: true, minLength: 1 },
+    text: { type: "string" },
+    options: { type: "array", items: { type: "string" }, minItems: 1 },
+    questionType: { type: "string", enum: QUESTION_TYPE_NAMES },
+    correctOption: optionLetterSchema,
+    correctOptions: { type: "array", items: optionLetterSchema },
+    correctAnswer: {},              // trueFalse 为 boolean，numeric 为 number，由题型检查
+    tolerance: { type: "number", minimum: 0 },
+    acceptedAnswers: { type: "array", items: { type: "string" } },
+    answerPattern: { type: "string", maxLength: 200 },
+    caseSensitive: { type: "boolean" },
+    correctOrder: { type: "array", items: optionLetterSchema },
+    durationMs: { type: "integer", minimum: 1 },
+    scoring: scoringSchema,
+    answerPolicy: answerPolicySchema
+  },
+  // 各题型自己的答案字段要求（例如多选要有 correctOptions）
+  check: q => questionTypeOf(q).definitionError(q)
+};
+
+// 每种消息的 payload schema，Router 入队前校验
+const schemas = {
+  initQuestion: {
+    ...questionSchema,
+    properties: {
+      ...questionSchema.properties,
+      questionId: { type: "string" },
+      roomId: { type: "string", required: true, minLength: 1 }
+    }
+  },
+  start: {
+    type: "object",
+    properties: {
+      students: { type: "array", items: { type: "string" } }
+    }
+  },
+  syncRoster: {
+    type: "object",
+    properties: {
+      students: { type: "array", required: true, items: { type: "string" } }
+    }
+  },
+  // 单选题用 option（选项字母），其他题型用 answer，格式由题型检查
+  submitAnswer: {
+    type: "object",
+    properties: {
+      studentId: { type: "string", required: true, minLength: 1 },
+      option: optionLetterSchema,
+      answer: {}
+    },
+    check: m => (m.option === undefined && m.answer === undefined ? "option or answer is required" : null)
+  },
+  getSummary: { type: "object" },
+  close: { type: "object" },
+  timeUp: {
+    type: "object",
+    properties: {
+      startTime: { type: "integer", required: true }
+    }
+  }
+};
+
+// 学生只能以自己的身份作答；其余消息只经由 TeacherActor / RoomActor（timeUp 由自己定时发送）。
+// 作答者是否是房间成员、题目是否是房间当前题目由 submitAnswer 自己检查
+const auth = {
+  submitAnswer: rules.self("student", m => m.payload.studentId)
+};
+
+// 学生只能看到自己的答案和作答历史；题目结束前不暴露正确答案
+function statusView(memory, caller) {
+  const own = memory.answers?.[caller.sub];
+  const ownHistory = memory.answerHistory?.[caller.sub];
+  const view = {
+    ...memory,
+    answers: own ? { [caller.sub]: own } : {},
+    answerHistory: ownHistory ? { [caller.sub]: ownHistory } : {}
+  };
+  if (memory.status !== "ended") {
+    for (const field of HIDDEN_FIELDS) delete view[field];
+  }
+  return view;
+}
+
+export const questionActor = {
+  initialMemory: ({ actorId }) => ({
+    kind: "question",
+    questionId: actorId,
+    answers: {},
+    answerHistory: {},
+    status: "pending"
+  }),
+  messages: {
+    initQuestion,
+    start,
+    syncRoster,
+    submitAnswer,
+    getSummary,
+    close,
+    timeUp
+  },
+  schemas,
+  auth,
+  statusView
+};
+
+// 初始化题目（来自 TeacherActor）
+async function initQuestion(payload, ctx) {
+  const { memory, caller } = ctx;
+
+  // 开启认证时，不允许老师把别的房间的题目改挂到自己房间下
+  if (caller?.role === "teacher" && memory.roomId && memory.roomId !== payload.roomId) {
+    throw new ActorError("QUESTION_IN_OTHER_ROOM", `Question ${memory.questionId} belongs to room ${memory.roomId}`, 403);
+  }
+
+  memory.roomId = payload.roomId;
+  memory.questionType = payload.questionType || "single";
+  memory.text = payload.text || "";
+  // 判断题没给选项时用固定的 True / False
+  memory.options = payload.options || (memory.questionType === "trueFalse" ? ["True", "False"] : []);
+  for (const field of ANSWER_KEY_FIELDS) {
+    if (payload[field] !== undefined) {
+      memory[field] = payload[field];
+    } else {
+      delete memory[field];
+    }
+  }
+  memory.durationMs = payload.durationMs || 10000;
+  if (payload.scoring) {
+    memory.scoring = payload.scoring;
+  } else {
+    delete memory.scoring;
+  }
+  memory.answerPolicy = resolveAnswerPolicy(payload.answerPolicy);
+  memory.startTime = null;
+  memory.status = "pending";
+  memory.answers = {};
+  memory.answerHistory = {};
+
+  return {
+    result: {
+      ok: true,
+      action: "initQuestion",
+      questionId: memory.questionId,
+      roomId: memory.roomId,
+      questionType: memory.questionType,
+      answerPolicy: memory.answerPolicy,
+      durationMs: memory.durationMs
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 开始倒计时（来自 RoomActor，带上房间当前的学生名单）
+async function start(payload, ctx) {
+  const { memory, now, tell } = ctx;
+
+  memory.roster = payload.students || [];
+  memory.startTime = now;
+  memory.status = "running";
+  memory.answers = {}; // 清空旧答案（如果有的话）
+  memory.answerHistory = {};
+
+  // 到点给自己发 timeUp（Router 的定时投递），带上本轮 startTime，重新开始后旧的那条会被忽略
+  await tell("question", memory.questionId, {
+    type: "timeUp",
+    startTime: memory.startTime
+  }, { deliverAt: memory.startTime + memory.durationMs });
+
+  return {
+    result: {
+      ok: true,
+      action: "start",
+      questionId: memory.questionId,
+      roomId: memory.roomId,
+      startTime: memory.startTime,
+      durationMs: memory.durationMs
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 题目进行中有学生加入房间（来自 RoomActor）
+async function syncRoster(payload, ctx) {
+  const { memory } = ctx;
+
+  memory.roster = payload.students;
+
+  return {
+    result: {
+      ok: true,
+      action: "syncRoster",
+      questionId: memory.questionId,
+      roomId: memory.roomId,
+      studentCount: memory.roster.length
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 学生提交答案（通过 Router，actorType=question, actorId=questionId）
+async function submitAnswer(payload, ctx) {
+  const { memory, now, tell } = ctx;
+
+  const studentId = payload.studentId;
+  const questionType = questionTypeOf(memory);
+
+  // 题目由房间开始、由房间（或计时到点）结束，所以 running 就是房间的当前题目；
+  // 没开始 / 已结束的题目不再接受作答，知道题目 ID 也没用
+  if (memory.status !== "running" || !memory.startTime) {
+    throw new ActorError(
+      "QUESTION_NOT_CURRENT",
+      `Question ${memory.questionId} is not the current question of room ${memory.roomId || "?"}`,
+      409
+    );
+  }
+  if (!(memory.roster || []).includes(studentId)) {
+    throw new ActorError("NOT_ROOM_MEMBER", `Student ${studentId} has not joined room ${memory.roomId}`, 403);
+  }
+
+  // 题型和选项个数在题目 memory 里，Router 的 schema 只能校验格式
+  const field = payload.answer !== undefined ? "answer" : "option";
+  const answer = payload[field];
+  const answerError = questionType.answerError(memory, answer);
+  if (answerError) {
+    throw new ActorError("INVALID_PAYLOAD", "Invalid payload for question.submitAnswer", 400, [
+      { field, message: answerError }
+    ]);
+  }
+
+  // 单选题的答案记在 option 上（和以前一样），其他题型记在 answer 上
+  const submitted = memory.questionType && memory.questionType !== "single" ? { answer } : { option: answer };
+
+  const policy = resolveAnswerPolicy(memory.answerPolicy);
+  const history = memory.answerHistory[studentId] || [];
+  const attempt = history.length + 1;
+  if (policy.mode === "lock" && history.length > 0) {
+    throw new ActorError("ANSWER_LOCKED", `Student ${studentId} has already answered question ${memory.questionId}`, 409);
+  }
+  if (policy.mode === "attempts" && history.length >= policy.maxAttempts) {
+    throw new ActorError(
+      "NO_ATTEMPTS_LEFT",
+      `Student ${studentId} has used all ${policy.maxAttempts} attempts on question ${memory.questionId}`,
+      409
+    );
+  }
+  const attemptsLeft = policy.mode === "change" ? null : maxAttemptsOf(policy) - attempt;
+
+  // 计时已到、但 timeUp 还没处理时的作答
+  const late = now > memory.startTime + memory.durationMs;
+
+  // 超时的答案不判分；多选 / 排序还会给出部分得分 credit，多次作答再按次数打折
+  const graded = late ? { correct: false } : questionType.grade(memory, answer);
+  const correct = graded.correct;
+  const credit = attemptCredit(policy, attempt, graded);
+
+  const record = {
+    ...submitted,
+    correct,
+    ...(credit !== undefined && { credit }),
+    answeredAt: now,
+    late,
+    attempt
+  };
+  memory.answerHistory[studentId] = [...history, record];
+
+  // 截止前给出的答案不会被超时的作答替换
+  const previous = memory.answers[studentId];
+  if (!late || !previous || previous.late) {
+    memory.answers[studentId] = record;
+  }
+
+  // 房间只需要知道有多少人答了（给 /events 的 answerSubmitted），不需要答案本身
+  if (memory.roomId) {
+    await tell("room", memory.roomId, {
+      type: "recordAnswerCount",
+      questionId: memory.questionId,
+      answerCount: Object.keys(memory.answers).length
+    });
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "submitAnswer",
+      questionId: memory.questionId,
+      roomId: memory.roomId,
+      studentId,
+      correct,
+      ...(credit !== undefined && { credit }),
+      late,
+      attempt,
+      attemptsLeft
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// RoomActor 在题目结束后调用 getSummary 做统计
+async function getSummary(payload, ctx) {
+  const { memory } = ctx;
+
+  // 可以在这里把状态改为 ended
+  memory.status = "ended";
+
+  const correctStudents = [];
+  const allAnswers = memory.answers || {};
+  const answerHistory = memory.answerHistory || {};
+
+  for (const [sid, ans] of Object.entries(allAnswers)) {
+    if (ans.correct) correctStudents.push(sid);
+  }
+
+  // 每个学生作答了几次（包括计时到点后、题目结束前的超时作答）
+  const attempts = Object.fromEntries(
+    Object.entries(answerHistory).map(([sid, list]) => [sid, list.length])
+  );
+
+  const summary = {
+    questionId: memory.questionId,
+    roomId: memory.roomId,
+    status: memory.status,
+    questionType: memory.questionType || "single",
+    startTime: memory.startTime,
+    durationMs: memory.durationMs,
+    scoring: memory.scoring || null,
+    answerPolicy: resolveAnswerPolicy(memory.answerPolicy),
+    correctStudents,
+    answers: allAnswers,
+    attempts,
+    answerHistory
+  };
+
+  return {
+    result: summary,
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// RoomActor 换了一套题目时结束还在进行的旧题目（不计分，也不通知房间）
+async function close(payload, ctx) {
+  const { memory } = ctx;
+
+  const closed = memory.status === "running";
+  if (closed) {
+    memory.status = "ended";
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "close",
+      questionId: memory.questionId,
+      closed
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 倒计时到点（来自自己）：结束作答窗口，通知 RoomActor 走和老师结束题目相同的计分流程
+async function timeUp(payload, ctx) {
+  const { memory, tell } = ctx;
+
+  // 老师已经提前结束，或者题目又被重新开始过
+  const current = memory.status === "running" && memory.startTime === payload.startTime;
+  if (current) {
+    memory.status = "ended";
+    if (memory.roomId) {
+      await tell("room", memory.roomId, {
+        type: "questionTimedOut",
+        questionId: memory.questionId
+      });
+    }
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "timeUp",
+      questionId: memory.questionId,
+      roomId: memory.roomId,
+      ended: current
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+/**
+ * 补齐作答策略的默认值；没设置时为 lock
+ */
+function resolveAnswerPolicy(policy) {
+  const mode = policy?.mode || "lock";
+  if (mode !== "attempts") return { mode };
+  return {
+    mode,
+    maxAttempts: policy.maxAttempts ?? DEFAULT_MAX_ATTEMPTS,
+    attemptDecay: policy.attemptDecay ?? DEFAULT_ATTEMPT_DECAY
+  };
+}
+
+function maxAttemptsOf(policy) {
+  return policy.mode === "attempts" ? policy.maxAttempts : 1;
+}
+
+// 这次作答的 credit：题型给的部分得分，attempts 模式下第 2 次起再打折；没有部分得分也没打折时为 undefined
+function attemptCredit(policy, attempt, graded) {
+  const factor = policy.mode === "attempts" ? Math.max(0, 1 - policy.attemptDecay * (attempt - 1)) : 1;
+  if (graded.credit === undefined && (factor === 1 || !graded.correct)) return graded.credit;
+  const base = graded.credit ?? (graded.correct ? 1 : 0);
+  return roundCredit(base * factor);
+}
@@ -0,0 +1,595 @@
+// src/quiz/room.js
+import { ActorError } from "../errors.js";
+import { rules } from "../auth.js";
+import { resolveScoring, roundPoints, scoreAnswer, scoringSchema } from "./scoring.js";
+
+/**
+ * RoomActor 负责：
+ *  - 维护房间元信息（teacher, students, questions）
+ *  - 管理当前进行到第几题
+ *  - 在每题结束时（老师结束或 QuestionActor 计时到点）向 QuestionActor 拉取 summary，更新 scores & 排名
+ *  - 可选的自动推进：一题结束后停顿 autoAdvance.pauseMs 再自动开始下一题
+ *
+ * memory 示例：
+ * {
+ *   kind: "room",
+ *   roomId: "class-101",
+ *   teacherId: "t1",
+ *   roomName: "网络课程01",
+ *   students: ["s1", "s2"],
+ *   questions: ["q1", "q2", "q3"],
+ *   currentQuestionIndex: 0,
+ *   scores: { "s1": 2, "s2": 1 },
+ *   status: "waiting" | "in_question" | "finished",
+ *   streaks: { "s1": 2 },             // 连续答对的题数（计分规则的 streakBonus 用）
+ *   lastQuestionPoints: { "s1": 0.85 }, // 上一题每个学生的得分
+ *   scoring: { mode: "speed", points: 2 }, // 可选，房间级计分规则，见 scoring.js
+ *   autoAdvance: { pauseMs: 5000 },   // 可选，开启自动推进时才有
+ *   nextQuestionAt: 1733512415000     // 可选，自动推进已排定的下一题开始时间
+ * }
+ *
+ * 领域事件（ctx.emit，通过 GET /events?roomId= 推送）：
+ *  studentJoined / questionStarted / answerSubmitted（只有人数）/ questionFinished / roomFinished
+ */
+// 开启自动推进时默认的题间停顿
+const DEFAULT_AUTO_ADVANCE_PAUSE_MS = 5000;
+
+// 每种消息的 payload schema，Router 入队前校验
+const schemas = {
+  initRoom: {
+    type: "object",
+    properties: {
+      teacherId: { type: "string" },
+      roomName: { type: "string" }
+    }
+  },
+  registerQuestions: {
+    type: "object",
+    properties: {
+      questionIds: { type: "array", required: true, items: { type: "string", minLength: 1 } }
+    }
+  },
+  join: {
+    type: "object",
+    properties: {
+      studentId: { type: "string", required: true, minLength: 1 },
+      name: { type: "string" }
+    }
+  },
+  startCurrentQuestion: { type: "object" },
+  finishCurrentQuestion: { type: "object" },
+  finishRoom: { type: "object" },
+  setScoring: {
+    type: "object",
+    properties: {
+      scoring: { ...scoringSchema, required: true, nullable: true }
+    }
+  },
+  setAutoAdvance: {
+    type: "object",
+    properties: {
+      enabled: { type: "boolean", required: true },
+      pauseMs: { type: "integer", minimum: 0 }
+    }
+  },
+  questionTimedOut: {
+    type: "object",
+    properties: {
+      questionId: { type: "string", required: true, minLength: 1 }
+    }
+  },
+  autoAdvance: {
+    type: "object",
+    properties: {
+      questionIndex: { type: "integer", required: true, minimum: 0 }
+    }
+  },
+  recordAnswerCount: {
+    type: "object",
+    properties: {
+      questionId: { type: "string", required: true, minLength: 1 },
+      answerCount: { type: "integer", required: true, minimum: 0 }
+    }
+  }
+};
+
+// 外部（/invoke）能直接发给 room 的消息；initRoom / registerQuestions 只经由 TeacherActor，
+// questionTimedOut / autoAdvance / recordAnswerCount 只由 actor 内部发送
+const auth = {
+  join: rules.self("student", m => m.payload.studentId),
+  startCurrentQuestion: rules.roles("teacher"),
+  finishCurrentQuestion: rules.roles("teacher"),
+  finishRoom: rules.roles("teacher"),
+  setScoring: rules.roles("teacher"),
+  setAutoAdvance: rules.roles("teacher")
+};
+
+export const roomActor = {
+  initialMemory: ({ actorId }, payload) => ({
+    kind: "room",
+    roomId: actorId,
+    students: [],
+    questions: [],
+    currentQuestionIndex: 0,
+    scores: {},
+    status: "waiting",
+    roomName: payload?.roomName || actorId
+  }),
+  messages: {
+    initRoom,
+    registerQuestions,
+    join,
+    startCurrentQuestion,
+    finishCurrentQuestion,
+    finishRoom,
+    setScoring,
+    setAutoAdvance,
+    questionTimedOut,
+    autoAdvance,
+    recordAnswerCount
+  },
+  schemas,
+  auth,
+  // 房间信息（学生列表、分数、排名）对房间里的所有人公开
+  statusView: memory => memory,
+  hooks: {
+    beforeMessage: async (payload, ctx) => assertRoomOwner(ctx)
+  }
+};
+
+// 老师只能操作自己创建的房间；学生 / admin / 未开启认证时不在这里限制
+function assertRoomOwner(ctx) {
+  const { caller, memory } = ctx;
+  if (caller?.role === "teacher" && memory.teacherId && memory.teacherId !== caller.sub) {
+    throw new ActorError("NOT_ROOM_OWNER", `Room ${memory.roomId} belongs to another teacher`, 403);
+  }
+}
+
+// 初始化房间（来自 TeacherActor）
+async function initRoom(payload, ctx) {
+  const { memory } = ctx;
+
+  memory.teacherId = payload.teacherId || memory.teacherId;
+  memory.roomName = payload.roomName || memory.roomName;
+
+  return {
+    result: {
+      ok: true,
+      action: "initRoom",
+      roomId: memory.roomId,
+      teacherId: memory.teacherId,
+      roomName: memory.roomName
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 注册题目列表（来自 TeacherActor）
+async function registerQuestions(payload, ctx) {
+  const { memory, ask } = ctx;
+
+  // 还在进行的题目要先结束：题目自己仍是 running 的话，学生还能继续作答
+  if (memory.status === "in_question" && memory.currentQuestionId) {
+    const resp = await ask("question", memory.currentQuestionId, { type: "close" });
+    if (!resp.ok) {
+      throw new ActorError(
+        resp.code || "QUESTION_UNAVAILABLE",
+        `Failed to close question ${memory.currentQuestionId}: ${resp.error}`,
+        resp.status || 502
+      );
+    }
+  }
+
+  const ids = payload.questionIds || [];
+  memory.questions = ids;
+  memory.currentQuestionIndex = 0;
+  memory.status = "waiting";
+
+  return {
+    result: {
+      ok: true,
+      action: "registerQuestions",
+      roomId: memory.roomId,
+      questions: memory.questions
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 学生加入房间
+async function join(payload, ctx) {
+  const { memory, ask, tell, emit } = ctx;
+
+  const studentId = payload.studentId;
+  const name = payload.name;
+
+  if (!memory.students.includes(studentId)) {
+    memory.students.push(studentId);
+    emit("studentJoined", { studentId, name: name || null, studentCount: memory.students.length });
+
+    // 题目进行中加入的学生也要能作答当前题目
+    // 推送失败时整个 join 失败（memory 回滚），否则学生进了房间却答不了当前题目
+    if (memory.status === "in_question" && memory.currentQuestionId) {
+      const resp = await tell("question", memory.currentQuestionId, {
+        type: "syncRoster",
+        students: memory.students
+      });
+      if (!resp.ok) {
+        throw new ActorError(
+          resp.code || "QUESTION_UNAVAILABLE",
+          `Failed to sync the roster to question ${memory.currentQuestionId}: ${resp.error}`,
+          resp.status || 502
+        );
+      }
+    }
+  }
+
+  // 通知 StudentActor 记录自己加入了这个 room
+  await ask("student", studentId, {
+    type: "joinRoom",
+    roomId: memory.roomId,
+    name
+  });
+
+  return {
+    result: {
+      ok: true,
+      action: "join",
+      roomId: memory.roomId,
+      studentId,
+      students: memory.students
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师开始当前题目
+async function startCurrentQuestion(payload, ctx) {
+  const { memory, ask, now, emit } = ctx;
+
+  if (memory.questions.length === 0) {
+    return {
+      result: { error: "No questions registered for this room" },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  if (memory.currentQuestionIndex >= memory.questions.length) {
+    return {
+      result: { error: "All questions already finished" },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  const qId = memory.questions[memory.currentQuestionIndex];
+
+  // 通知 QuestionActor 开始（记录 startTime），带上学生名单：只有房间成员能作答
+  const resp = await ask("question", qId, {
+    type: "start",
+    students: memory.students
+  });
+
+  memory.status = "in_question";
+  memory.currentQuestionId = qId;
+  memory.questionStartedAt = now;
+  delete memory.nextQuestionAt;
+
+  if (resp.ok) {
+    const started = unwrapRouterResult(resp);
+    emit("questionStarted", {
+      questionId: qId,
+      index: memory.currentQuestionIndex,
+      total: memory.questions.length,
+      startTime: started.startTime ?? now,
+      durationMs: started.durationMs ?? null
+    });
+  }
+
+  return {
+    result: {
+      ok: resp.ok,
+      action: "startCurrentQuestion",
+      roomId: memory.roomId,
+      questionId: qId,
+      fromQuestion: resp.result || resp.error
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 教师结束当前题目：拉 summary，更新 scores
+async function finishCurrentQuestion(payload, ctx) {
+  const { memory } = ctx;
+
+  if (memory.questions.length === 0) {
+    return {
+      result: { error: "No questions registered for this room" },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  if (memory.currentQuestionIndex >= memory.questions.length) {
+    return {
+      result: { error: "All questions already finished" },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  // 计时到点后房间已经自动结束了这题，不能再把还没开始的下一题结束掉
+  if (memory.status !== "in_question") {
+    return {
+      result: { error: "No question is in progress", status: memory.status },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  return finishQuestion(ctx, "teacher");
+}
+
+/**
+ * 结束当前题目并计分：老师的 finishCurrentQuestion 和计时到点的 questionTimedOut 共用。
+ * reason: "teacher" | "timeout"
+ */
+async function finishQuestion(ctx, reason) {
+  const { memory, ask, tell, emit, now } = ctx;
+
+  const qId = memory.questions[memory.currentQuestionIndex];
+
+  const resp = await ask("question", qId, {
+    type: "getSummary"
+  });
+
+  if (!resp.ok) {
+    return {
+      result: { error: "Failed to get question summary", fromQuestion: resp },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  const sum = unwrapRouterResult(resp);
+  const correctStudents = sum.correctStudents || [];
+  const allAnswers = sum.answers || {};
+
+  // 按 房间 → 题目 的计分规则给每个学生算分；没作答、也没扣分的学生不产生记录。
+  // StudentActor 的记录用 tell 扇出，不逐个等待
+  const scoring = resolveScoring(memory.scoring, sum.scoring);
+  const points = {};
+  memory.streaks = memory.streaks || {};
+  for (const sid of new Set([...Object.keys(allAnswers), ...memory.students])) {
+    const ans = allAnswers[sid];
+    const correct = !!ans?.correct;
+
+    // 连续答对的题数，答错 / 没作答清零
+    if (correct) {
+      memory.streaks[sid] = (memory.streaks[sid] || 0) + 1;
+    } else {
+      delete memory.streaks[sid];
+    }
+
+    const scoreDelta = scoreAnswer(scoring, ans, {
+      startTime: sum.startTime,
+      durationMs: sum.durationMs,
+      streak: memory.streaks[sid] || 0
+    });
+    if (!correct && scoreDelta === 0) continue;
+
+    points[sid] = scoreDelta;
+    memory.scores[sid] = roundPoints((memory.scores[sid] || 0) + scoreDelta);
+
+    // 也通知 StudentActor 更新自己的记录
+    const timeUsedMs = ans?.answeredAt && sum.startTime
+      ? ans.answeredAt - sum.startTime
+      : null;
+
+    await tell("student", sid, {
+      type: "updateScore",
+      roomId: memory.roomId,
+      questionId: qId,
+      correct,
+      scoreDelta,
+      timeUsedMs
+    });
+  }
+  memory.lastQuestionPoints = points;
+
+  // 更新当前题目索引
+  memory.currentQuestionIndex += 1;
+  memory.status = memory.currentQuestionIndex >= memory.questions.length
+    ? "finished"
+    : "waiting";
+
+  // 如果全部结束，计算排名
+  if (memory.status === "finished") {
+    const ranking = Object.entries(memory.scores)
+      .sort(([, a], [, b]) => b - a)
+      .map(([sid, score], idx) => ({
+        rank: idx + 1,
+        studentId: sid,
+        score
+      }));
+    memory.ranking = ranking;
+  }
+
+  // 自动推进：停顿之后给自己发一条 autoAdvance，带上应该开始的题号，老师提前手动开始时它会被忽略
+  if (memory.status === "waiting" && memory.autoAdvance) {
+    memory.nextQuestionAt = now + memory.autoAdvance.pauseMs;
+    await tell("room", memory.roomId, {
+      type: "autoAdvance",
+      questionIndex: memory.currentQuestionIndex
+    }, { deliverAt: memory.nextQuestionAt });
+  }
+
+  emit("questionFinished", {
+    questionId: qId,
+    reason,
+    correctStudents,
+    points,
+    scores: memory.scores,
+    nextQuestionAt: memory.nextQuestionAt ?? null
+  });
+  if (memory.status === "finished") {
+    emit("roomFinished", { scores: memory.scores, ranking: memory.ranking });
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: reason === "timeout" ? "questionTimedOut" : "finishCurrentQuestion",
+      roomId: memory.roomId,
+      questionId: qId,
+      correctStudents,
+      points,
+      scores: memory.scores,
+      status: memory.status,
+      ranking: memory.ranking || null
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 结束整场房间（如果没有提前 finishCurrentQuestion，也可以在此处补齐）
+async function finishRoom(payload, ctx) {
+  const { memory, emit } = ctx;
+
+  // 简单处理：如果还有未完成的题目，就提示错误
+  if (memory.currentQuestionIndex < memory.questions.length) {
+    return {
+      result: {
+        error: "Not all questions have been finished. Please call finishCurrentQuestion for each first.",
+        currentQuestionIndex: memory.currentQuestionIndex,
+        totalQuestions: memory.questions.length
+      },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  const wasFinished = memory.status === "finished";
+  memory.status = "finished";
+
+  // 若前面已经算过 ranking，这里直接返回；否则计算一次
+  if (!memory.ranking) {
+    const ranking = Object.entries(memory.scores)
+      .sort(([, a], [, b]) => b - a)
+      .map(([sid, score], idx) => ({
+        rank: idx + 1,
+        studentId: sid,
+        score
+      }));
+    memory.ranking = ranking;
+  }
+
+  // 最后一题结束时已经发过 roomFinished
+  if (!wasFinished) {
+    emit("roomFinished", { scores: memory.scores, ranking: memory.ranking });
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "finishRoom",
+      roomId: memory.roomId,
+      scores: memory.scores,
+      ranking: memory.ranking
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师设置房间的计分规则（null 恢复默认：答对 1 分）；对之后结束的题目生效，已有的分数不重算
+async function setScoring(payload, ctx) {
+  const { memory } = ctx;
+
+  if (payload.scoring) {
+    memory.scoring = payload.scoring;
+  } else {
+    delete memory.scoring;
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "setScoring",
+      roomId: memory.roomId,
+      scoring: resolveScoring(memory.scoring)
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师开关自动推进；对之后结束的题目生效
+async function setAutoAdvance(payload, ctx) {
+  const { memory } = ctx;
+
+  if (payload.enabled) {
+    memory.autoAdvance = { pauseMs: payload.pauseMs ?? memory.autoAdvance?.pauseMs ?? DEFAULT_AUTO_ADVANCE_PAUSE_MS };
+  } else {
+    delete memory.autoAdvance;
+    delete memory.nextQuestionAt;
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "setAutoAdvance",
+      roomId: memory.roomId,
+      autoAdvance: memory.autoAdvance || null
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 题目计时到点（来自 QuestionActor）：和老师结束题目走同一条计分路径
+async function questionTimedOut(payload, ctx) {
+  const { memory } = ctx;
+
+  // 老师已经先结束了这题（或者已经换到别的题），到点通知只是迟到了
+  const current = memory.status === "in_question" && payload.questionId === memory.currentQuestionId;
+  if (!current) {
+    return {
+      result: { ok: true, action: "questionTimedOut", roomId: memory.roomId, questionId: payload.questionId, current },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  return finishQuestion(ctx, "timeout");
+}
+
+// 自动推进到点（来自自己）：房间仍停在上一题结束后的等待状态时开始下一题
+async function autoAdvance(payload, ctx) {
+  const { memory } = ctx;
+
+  const due = memory.autoAdvance
+    && memory.status === "waiting"
+    && memory.currentQuestionIndex === payload.questionIndex;
+  if (!due) {
+    return {
+      result: { ok: true, action: "autoAdvance", roomId: memory.roomId, started: false },
+      nextPolicy: { mode: "immediate" }
+    };
+  }
+
+  return startCurrentQuestion(payload, ctx);
+}
+
+// 当前题目的作答人数变化（来自 QuestionActor），只转成 answerSubmitted 事件，不暴露答案
+async function recordAnswerCount(payload, ctx) {
+  const { memory, emit } = ctx;
+
+  const current = memory.status === "in_question" && payload.questionId === memory.currentQuestionId;
+  if (current) {
+    emit("answerSubmitted", { questionId: payload.questionId, answerCount: payload.answerCount });
+  }
+
+  return {
+    result: { ok: true, action: "recordAnswerCount", roomId: memory.roomId, current },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+function unwrapRouterResult(resp) {
+  if (!resp) return {};
+  // Router 外层: { ok, result: { result: inner, actorKey } }
+  if (resp.result && resp.result.result) return resp.result.result;
+  if (resp.result) return resp.result;
+  return resp;
+}
@@ -0,0 +1,74 @@
+// src/quiz/scoring.js
+
+/**
+ * 计分规则：RoomActor 在每题结束时按它给每个学生算这一题的得分。
+ *
+ * 规则可以设在房间上（room.setScoring），也可以写在单道题里（createQuestions 的 questions[i].scoring），
+ * 题目上的字段覆盖房间的，没设的字段用 DEFAULT_SCORING：
+ * {
+ *   mode: "flat" | "speed", // flat：答对得 points；speed：越快分越高，用满整个 durationMs 只拿 points * minRatio
+ *   points: 1,              // 答对的基础分；得分保留两位小数，速度加权和部分得分按比例折算
+ *   minRatio: 0.5,          // speed 模式下最慢的正确答案拿到的比例（Kahoot 的做法是 0.5）
+ *   streakBonus: 0,         // 连续答对第 n 题时额外加 streakBonus * (n - 1)
+ *   wrongPenalty: 0         // 按时作答但答错扣的分；没作答、超时作答不扣
+ * }
+ * 多选 / 排序题的部分正确答案（credit 在 0~1 之间）按 credit 比例拿分，不算连对，也不扣分。
+ * 多次作答打了折的正确答案（answerPolicy 的 attempts 模式）同样按 credit 拿分，仍算连对。
+ */
+export const DEFAULT_SCORING = {
+  mode: "flat",
+  points: 1,
+  minRatio: 0.5,
+  streakBonus: 0,
+  wrongPenalty: 0
+};
+
+export const scoringSchema = {
+  type: "object",
+  properties: {
+    mode: { type: "string", enum: ["flat", "speed"] },
+    points: { type: "number", minimum: 0 },
+    minRatio: { type: "number", minimum: 0, maximum: 1 },
+    streakBonus: { type: "number", minimum: 0 },
+    wrongPenalty: { type: "number", minimum: 0 }
+  }
+};
+
+/**
+ * 按 默认 → 房间 → 题目 的顺序合并规则，跳过没设置的层
+ */
+export function resolveScoring(...layers) {
+  return Object.assign({ ...DEFAULT_SCORING }, ...layers.filter(Boolean));
+}
+
+/**
+ * 分数保留两位小数；累加分数时也用它，避免浮点误差越积越多
+ */
+export function roundPoints(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 一个学生这一题的得分（可能为负），保留两位小数
+ * @param {object} rules   resolveScoring 的结果
+ * @param {object} [answer] question summary 里的答案 { correct, credit?, late, answeredAt }，没作答为 undefined
+ * @param {{ startTime: number, durationMs: number, streak: number }} context
+ *   streak 是包括本题在内连续答对的题数
+ */
+export function scoreAnswer(rules, answer, { startTime, durationMs, streak }) {
+  if (!answer) return 0;
+
+  const credit = answer.credit ?? (answer.correct ? 1 : 0);
+  if (!answer.correct && credit === 0) {
+    return answer.late || !rules.wrongPenalty ? 0 : -rules.wrongPenalty;
+  }
+
+  let ratio = credit;
+  if (rules.mode === "speed" && startTime && durationMs) {
+    const used = Math.min(Math.max((answer.answeredAt - startTime) / durationMs, 0), 1);
+    ratio *= 1 - (1 - rules.minRatio) * used;
+  }
+
+  const streakBonus = answer.correct ? rules.streakBonus * Math.max(streak - 1, 0) : 0;
+  return roundPoints(rules.points * ratio + streakBonus);
+}
@@ -0,0 +1,111 @@
+// src/quiz/student.js
+import { roundPoints } from "./scoring.js";
+
+/**
+ * StudentActor 负责：
+ *  - 记录自己加入过哪些房间
+ *  - 记录每道题的答题情况
+ *  - 计算自己的总分
+ *
+ * memory 示例：
+ * {
+ *   kind: "student",
+ *   studentId: "s1",
+ *   name: "Alice",
+ *   rooms: ["class-101"],
+ *   answers: [
+ *     { roomId, questionId, correct, scoreDelta, timeUsedMs }
+ *   ],
+ *   totalScore: 2
+ * }
+ */
+// 每种消息的 payload schema，Router 入队前校验
+const schemas = {
+  joinRoom: {
+    type: "object",
+    properties: {
+      roomId: { type: "string" },
+      name: { type: "string" }
+    }
+  },
+  updateScore: {
+    type: "object",
+    properties: {
+      roomId: { type: "string" },
+      questionId: { type: "string" },
+      correct: { type: "boolean" },
+      scoreDelta: { type: "number" },
+      timeUsedMs: { type: "number", nullable: true }
+    }
+  }
+};
+
+export const studentActor = {
+  initialMemory: ({ actorId }) => ({
+    kind: "student",
+    studentId: actorId,
+    rooms: [],
+    answers: [],
+    totalScore: 0
+  }),
+  messages: {
+    joinRoom,
+    updateScore
+  },
+  schemas,
+  // 学生只能看自己的记录；joinRoom / updateScore 只由 RoomActor 发送，不对外开放
+  statusView: (memory, caller) => (caller.sub === memory.studentId ? memory : null)
+};
+
+// 学生加入房间
+async function joinRoom(payload, ctx) {
+  const { memory } = ctx;
+
+  const roomId = payload.roomId;
+  const name = payload.name;
+
+  if (name && !memory.name) {
+    memory.name = name;
+  }
+  if (roomId && !memory.rooms.includes(roomId)) {
+    memory.rooms.push(roomId);
+  }
+
+  return {
+    result: {
+      ok: true,
+      action: "joinRoom",
+      studentId: memory.studentId,
+      name: memory.name,
+      rooms: memory.rooms
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 题目结束后由 RoomActor 更新分数
+async function updateScore(payload, ctx) {
+  const { memory } = ctx;
+
+  const record = {
+    roomId: payload.roomId,
+    questionId: payload.questionId,
+    correct: !!payload.correct,
+    scoreDelta: payload.scoreDelta || 0,
+    timeUsedMs: payload.timeUsedMs ?? null
+  };
+
+  memory.answers.push(record);
+  memory.totalScore = roundPoints(memory.totalScore + record.scoreDelta);
+
+  return {
+    result: {
+      ok: true,
+      action: "updateScore",
+      studentId: memory.studentId,
+      totalScore: memory.totalScore,
+      lastRecord: record
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
@@ -0,0 +1,289 @@
+// src/quiz/teacher.js
+import { ActorError } from "../errors.js";
+import { rules } from "../auth.js";
+import { questionSchema } from "./question.js";
+import { pickAnswerKey } from "./question-types.js";
+import { scoringSchema } from "./scoring.js";
+
+/**
+ * TeacherActor 用来：
+ *  - 记录自己创建的 room 与 question
+ *  - 通过 Router 向 Room / Question 发送消息，实现“用 Actor 创建 Actor”
+ *
+ * memory 结构示例：
+ * {
+ *   actorType: "teacher",
+ *   actorId: "t1",
+ *   rooms: ["class-101", "class-202"],
+ *   questionsByRoom: {
+ *     "class-101": ["q1", "q2", "q3"]
+ *   },
+ *   lastActiveAt: ...
+ * }
+ */
+const roomIdSchema = { type: "string", required: true, minLength: 1 };
+
+// 每种消息的 payload schema，Router 入队前校验
+const schemas = {
+  createRoom: {
+    type: "object",
+    properties: {
+      roomId: roomIdSchema,
+      roomName: { type: "string" }
+    }
+  },
+  createQuestions: {
+    type: "object",
+    properties: {
+      roomId: roomIdSchema,
+      questions: { type: "array", required: true, items: questionSchema }
+    }
+  },
+  startQuestion: { type: "object", properties: { roomId: roomIdSchema } },
+  finishCurrentQuestion: { type: "object", properties: { roomId: roomIdSchema } },
+  finishRoom: { type: "object", properties: { roomId: roomIdSchema } },
+  setScoring: {
+    type: "object",
+    properties: {
+      roomId: roomIdSchema,
+      scoring: { ...scoringSchema, required: true, nullable: true }
+    }
+  },
+  setAutoAdvance: {
+    type: "object",
+    properties: {
+      roomId: roomIdSchema,
+      enabled: { type: "boolean", required: true },
+      pauseMs: { type: "integer", minimum: 0 }
+    }
+  }
+};
+
+// 老师只能通过自己的 TeacherActor 发消息
+const ownTeacher = rules.self("teacher", m => m.actorId);
+const auth = {
+  createRoom: ownTeacher,
+  createQuestions: ownTeacher,
+  startQuestion: ownTeacher,
+  finishCurrentQuestion: ownTeacher,
+  finishRoom: ownTeacher,
+  setScoring: ownTeacher,
+  setAutoAdvance: ownTeacher
+};
+
+export const teacherActor = {
+  initialMemory: ({ actorId }) => ({
+    kind: "teacher",
+    teacherId: actorId,
+    rooms: [],
+    questionsByRoom: {}
+  }),
+  messages: {
+    createRoom,
+    createQuestions,
+    startQuestion,
+    finishCurrentQuestion,
+    finishRoom,
+    setScoring,
+    setAutoAdvance
+  },
+  schemas,
+  auth
+};
+
+// 老师创建房间
+async function createRoom(payload, ctx) {
+  const { actorId, memory, ask } = ctx;
+
+  const roomId = payload.roomId;
+  const roomName = payload.roomName || roomId;
+
+  if (!memory.rooms.includes(roomId)) {
+    memory.rooms.push(roomId);
+  }
+
+  // 通过 Router 发送消息给 RoomActor，初始化房间
+  const resp = await ask("room", roomId, {
+    type: "initRoom",
+    teacherId: actorId,
+    roomName
+  });
+  throwIfForbidden(resp);
+
+  return {
+    result: {
+      ok: true,
+      action: "createRoom",
+      roomId,
+      roomName
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师为某房间创建题目
+async function createQuestions(payload, ctx) {
+  const { memory, ask, caller } = ctx;
+
+  const roomId = payload.roomId;
+  const questions = payload.questions || [];
+
+  // 开启认证时，只能给自己创建过的房间出题
+  if (caller?.role === "teacher" && !memory.rooms.includes(roomId)) {
+    throw new ActorError("NOT_ROOM_OWNER", `Room ${roomId} was not created by teacher ${memory.teacherId}`, 403);
+  }
+
+  const qIds = [];
+  for (const q of questions) {
+    const qId = q.questionId;
+    if (!qId) continue;
+    qIds.push(qId);
+
+    // 初始化 QuestionActor
+    const resp = await ask("question", qId, {
+      type: "initQuestion",
+      roomId,
+      questionType: q.questionType,
+      text: q.text,
+      options: q.options,
+      ...pickAnswerKey(q),
+      durationMs: q.durationMs,
+      scoring: q.scoring,
+      answerPolicy: q.answerPolicy
+    });
+    throwIfForbidden(resp);
+  }
+
+  // 告诉 RoomActor 这些 question 的列表
+  if (qIds.length > 0) {
+    const resp = await ask("room", roomId, {
+      type: "registerQuestions",
+      questionIds: qIds
+    });
+    if (!resp.ok) {
+      throw new ActorError(resp.code || "ROOM_UNAVAILABLE", resp.error, resp.status || 502);
+    }
+  }
+
+  memory.questionsByRoom[roomId] = qIds;
+
+  return {
+    result: {
+      ok: true,
+      action: "createQuestions",
+      roomId,
+      questionIds: qIds
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师开始当前题目
+async function startQuestion(payload, ctx) {
+  const { ask } = ctx;
+
+  const roomId = payload.roomId;
+  const resp = await ask("room", roomId, {
+    type: "startCurrentQuestion"
+  });
+  throwIfForbidden(resp);
+
+  return {
+    result: {
+      ok: resp.ok,
+      roomId,
+      fromRoom: resp.result || resp.error
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师结束当前题目（触发统计）
+async function finishCurrentQuestion(payload, ctx) {
+  const { ask } = ctx;
+
+  const roomId = payload.roomId;
+  const resp = await ask("room", roomId, {
+    type: "finishCurrentQuestion"
+  });
+  throwIfForbidden(resp);
+
+  return {
+    result: {
+      ok: resp.ok,
+      roomId,
+      fromRoom: resp.result || resp.error
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师结束整场房间（统计总分 + 排名）
+async function finishRoom(payload, ctx) {
+  const { ask } = ctx;
+
+  const roomId = payload.roomId;
+  const resp = await ask("room", roomId, {
+    type: "finishRoom"
+  });
+  throwIfForbidden(resp);
+
+  return {
+    result: {
+      ok: resp.ok,
+      roomId,
+      fromRoom: resp.result || resp.error
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师设置房间的计分规则（答对分值、速度加权、连对奖励、答错扣分），见 scoring.js
+async function setScoring(payload, ctx) {
+  const { ask } = ctx;
+
+  const roomId = payload.roomId;
+  const resp = await ask("room", roomId, {
+    type: "setScoring",
+    scoring: payload.scoring
+  });
+  throwIfForbidden(resp);
+
+  return {
+    result: {
+      ok: resp.ok,
+      roomId,
+      fromRoom: resp.result || resp.error
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 老师开关房间的自动推进（一题结束后停顿 pauseMs 自动开始下一题）
+async function setAutoAdvance(payload, ctx) {
+  const { ask } = ctx;
+
+  const roomId = payload.roomId;
+  const resp = await ask("room", roomId, {
+    type: "setAutoAdvance",
+    enabled: payload.enabled,
+    pauseMs: payload.pauseMs
+  });
+  throwIfForbidden(resp);
+
+  return {
+    result: {
+      ok: resp.ok,
+      roomId,
+      fromRoom: resp.result || resp.error
+    },
+    nextPolicy: { mode: "immediate" }
+  };
+}
+
+// 下游因为权限拒绝（例如房间属于别的老师）时整条消息失败：回滚 memory，并把 code / 403 交给调用方
+function throwIfForbidden(resp) {
+  if (!resp.ok && resp.status === 403) {
+    throw new ActorError(resp.code || "FORBIDDEN", resp.error, 403);
+  }
+}
@@ -0,0 +1,94 @@
+// src/registry.js
+import { validate } from "./schema.js";
+
+/**
+ * actorType 注册表：GoldfishActor 不再写死业务类型，而是按 actorType 查这里登记的定义。
+ *
+ * 一个 actorType 的定义：
+ * {
+ *   // 每条消息处理前，把缺失的字段用它补齐（新 actor 的初始 memory，也兼容老快照）
+ *   initialMemory?: (ctx, payload) => object,
+ *
+ *   // payload.type → handler，返回 { result, nextPolicy?, spawn? }
+ *   messages: {
+ *     [type]: async (payload, ctx) => envelope
+ *   },
+ *
+ *   // payload.type → payload 的 schema（见 schema.js），Router 入队前校验，不合法直接 400
+ *   schemas?: {
+ *     [type]: schema
+ *   },
+ *
+ *   // payload.type → 外部调用方（/invoke）能否发送这条消息，见 auth.js 的 rules；
+ *   // 开启认证后，没有声明规则的消息只有 admin 能从外部发送
+ *   auth?: {
+ *     [type]: (caller, { actorType, actorId, payload }) => boolean
+ *   },
+ *
+ *   // 非 admin / teacher 通过 /actor-status 查看时返回的 memory 视图；返回 null 表示不可见
+ *   statusView?: (memory, caller) => object | null,
+ *
+ *   // 可选的生命周期钩子
+ *   hooks?: {
+ *     onCreate?: async (ctx) => void,                    // 第一次收到消息、memory 刚初始化后
+ *     beforeMessage?: async (payload, ctx) => void,      // 每条消息的 handler 之前
+ *     afterMessage?: async (payload, ctx, envelope) => void  // handler 成功返回之后、memory 落盘之前
+ *   }
+ * }
+ *
+ * 一组相关的 actorType 可以作为 bundle 一起注册：
+ *   registerBundle({ name: "quiz", actorTypes: { teacher, room, student, question } })
+ */
+
+const actorTypes = new Map();
+
+/**
+ * 注册一个 actorType；同名重复注册视为配置错误
+ */
+export function registerActorType(actorType, definition) {
+  if (!actorType || typeof actorType !== "string") {
+    throw new Error("actorType must be a non-empty string");
+  }
+  if (actorTypes.has(actorType)) {
+    throw new Error(`actorType already registered: ${actorType}`);
+  }
+  if (!definition || typeof definition.messages !== "object") {
+    throw new Error(`actorType ${actorType} must define messages`);
+  }
+
+  actorTypes.set(actorType, {
+    initialMemory: definition.initialMemory || null,
+    messages: definition.messages,
+    schemas: definition.schemas || {},
+    auth: definition.auth || {},
+    statusView: definition.statusView || null,
+    hooks: definition.hooks || {}
+  });
+}
+
+/**
+ * 注册一个 bundle 里的所有 actorType
+ */
+export function registerBundle(bundle) {
+  for (const [actorType, definition] of Object.entries(bundle.actorTypes || {})) {
+    registerActorType(actorType, definition);
+  }
+}
+
+export function getActorType(actorType) {
+  return actorTypes.get(actorType) || null;
+}
+
+/**
+ * 按 actorType + payload.type 校验 payload，返回字段级错误；没有注册 schema 时视为通过
+ */
+export function validatePayload(actorType, payload) {
+  const definition = actorTypes.get(actorType);
+  const schema = definition?.schemas[payload?.type];
+  if (!schema) return [];
+  return validate(schema, payload);
+}
+
+export function listActorTypes() {
+  return [...actorTypes.keys()];
+}
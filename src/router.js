@@ -1,3 +1,34 @@
+import { mergePolicies, parseJsonVar, retryDelay, validatePolicy } from "./policy.js";
+import { validatePayload } from "./registry.js";
+
+// 每个 Router 同时处理队列的 actor 数上限（GOLDFISH_MAX_CONCURRENCY 未配置时）
+const DEFAULT_MAX_CONCURRENCY = 8;
+
+// durable 模式下排队消息在 storage 中的 key 前缀：msg:<messageId>
+const MSG_PREFIX = "msg:";
+
+// 可查询状态的消息（async / 同步超时）：result:<messageId> → { status, result | error, ... }
+const RESULT_PREFIX = "result:";
+
+// 幂等键：idem:<actorKey>:<idempotencyKey> → { messageId, response?, expiresAt }
+const IDEM_PREFIX = "idem:";
+
+// 死信：dlq:<messageId> → 处理失败 / 被 reject 丢弃的消息，保留到管理员 replay 或 purge
+const DLQ_PREFIX = "dlq:";
+
+// 定时消息：sched:<scheduleId> → { actorType, actorId, payload, deliverAt, ... }，到点由 alarm 入队
+const SCHED_PREFIX = "sched:";
+
+// POST /router-policy 写入的配置：actorType 级一条，actor 级 policy:actor:<actorKey>
+const TYPE_POLICY_KEY = "policy:type";
+const ACTOR_POLICY_PREFIX = "policy:actor:";
+
+// nextPolicy.redirectTo 最多允许的转发跳数，超过即视为转发环路
+const MAX_REDIRECT_HOPS = 8;
+
+// 内存里最多保留多少个调用方的令牌桶，超过时丢掉已经回满的桶
+const MAX_CALLER_BUCKETS = 1000;
+
 export class GoldfishRouter {
   /**
    * @param {DurableObjectState} state
@@ -10,10 +41,95 @@ export class GoldfishRouter {
     // 每个 actor 的调度状态（内存）：actorKey -> { busy, queue, policy, ... }
     this.actors = new Map();
 
-    // messageId -> Promise 的 resolve/reject
+    // messageId -> { resolve, reject, timeoutId, deadline }
     this.pendingResults = new Map();
 
-    this.isDraining = false;
+    // 正在同步等待结果的 ask（等待图）：调用方 actorKey → Map(被等待的 actorKey → 条数)，
+    // 用来发现两个互不相干的请求之间的等待环（A 等 B、B 等 A）
+    this.waitsFor = new Map();
+
+    // 本 Router 服务的 actorType（约定一个 actorType 一个 Router，首条消息到达时确定）
+    this.actorType = null;
+
+    // 正在处理队列的 actorKey；不同 actor 之间并发，同一 actor 内仍严格串行
+    this.draining = new Set();
+    this.concurrencyConfig = parseConcurrencyConfig(env.GOLDFISH_MAX_CONCURRENCY);
+
+    // 分层 policy：env（按 actorType）→ storage 的 actorType 级 → storage 的 actor 级
+    this.envPolicies = parseEnvPolicies(env.GOLDFISH_POLICIES);
+    this.typePolicy = null;
+    this.actorPolicies = new Map();
+
+    // 最早过期的 result:* / idem:* 记录时间，alarm 到点时清理
+    this.nextSweepAt = null;
+
+    // 最早一条定时消息的投递时间，alarm 到点时入队
+    this.nextDeliveryAt = null;
+
+    // 仍在处理中的幂等消息：idem storage key → { promise, resolve }，重试请求等它完成
+    this.idempotencyWaiters = new Map();
+
+    // policy.rateLimit.perCaller 的令牌桶（只在内存）：clientId → { tokens, updatedAt }
+    this.callerBuckets = new Map();
+
+    // durable 模式：入队消息先写 storage，Actor DO 确认 /invoke 后再删除
+    this.durable = isEnabled(env.GOLDFISH_DURABLE_QUEUES);
+
+    // 本 Router 内单调递增的入队序号，用于恢复时还原 FIFO 顺序
+    this.lastSeq = 0;
+
+    // 启动（或被驱逐后重新激活）时从 storage 恢复调度状态
+    state.blockConcurrencyWhile(() => this.recover());
+  }
+
+  /**
+   * 从 Durable Storage 恢复：
+   *  - policy:* → POST /router-policy 写入的 policy
+   *  - meta:*  → 每个 actor 的调度状态（包括 wait 暂停截止时间）
+   *  - msg:*   → durable 模式下尚未被 Actor DO 确认的消息，按 seq 重新入队
+   *  - result:* / idem:* → 只用来找出下一次需要清理过期记录的时间
+   *  - sched:* → 只用来找出下一条定时消息的投递时间（记录本身留在 storage 里直到投递）
+   * 恢复出来的消息没有等待中的 HTTP 调用方，结果只会被丢弃。
+   */
+  async recover() {
+    this.typePolicy = (await this.state.storage.get(TYPE_POLICY_KEY)) || null;
+    const actorPolicies = await this.state.storage.list({ prefix: ACTOR_POLICY_PREFIX });
+    for (const [key, policy] of actorPolicies.entries()) {
+      this.actorPolicies.set(key.slice(ACTOR_POLICY_PREFIX.length), policy);
+    }
+
+    const allMeta = await this.state.storage.list({ prefix: "meta:" });
+    for (const meta of allMeta.values()) {
+      const actorState = this.getOrCreateActorState(meta.actorType, meta.actorId);
+      actorState.pausedUntil = meta.pausedUntil ?? null;
+    }
+
+    for (const prefix of [RESULT_PREFIX, IDEM_PREFIX]) {
+      const records = await this.state.storage.list({ prefix });
+      for (const record of records.values()) {
+        this.noteExpiry(record.expiresAt);
+      }
+    }
+
+    const scheduled = await this.state.storage.list({ prefix: SCHED_PREFIX });
+    for (const record of scheduled.values()) {
+      this.noteDelivery(record.deliverAt);
+    }
+
+    if (this.durable) {
+      const stored = await this.state.storage.list({ prefix: MSG_PREFIX });
+      const messages = [...stored.values()].sort((a, b) => a.seq - b.seq);
+      for (const record of messages) {
+        const { actorType, actorId, ...message } = record;
+        this.getOrCreateActorState(actorType, actorId).queue.push({ ...message, status: "queued" });
+        this.lastSeq = Math.max(this.lastSeq, record.seq);
+      }
+    }
+
+    await this.scheduleAlarm();
+    if (this.hasPendingWork()) {
+      this.triggerDraining();
+    }
   }
 
   async fetch(request) {
@@ -27,12 +143,66 @@ export class GoldfishRouter {
       return this.handleStatus(request);
     }
 
+    if (url.pathname === "/message-status" && request.method === "GET") {
+      return this.handleMessageStatus(url.searchParams.get("messageId"));
+    }
+
+    // 死信管理：列表 / 查看单条 / 重新投递 / 清除
+    if (url.pathname === "/dead-letters" && request.method === "GET") {
+      return this.handleListDeadLetters(url.searchParams.get("messageId"));
+    }
+
+    if (url.pathname === "/dead-letters/replay" && request.method === "POST") {
+      return this.handleReplayDeadLetters(request);
+    }
+
+    if (url.pathname === "/dead-letters/purge" && request.method === "POST") {
+      return this.handlePurgeDeadLetters(request);
+    }
+
+    // 定时消息：列表 / 取消
+    if (url.pathname === "/scheduled" && request.method === "GET") {
+      return this.handleListScheduled(url.searchParams.get("actorId"), url.searchParams.get("owner"));
+    }
+
+    if (url.pathname === "/scheduled/cancel" && request.method === "POST") {
+      return this.handleCancelScheduled(request);
+    }
+
+    if (url.pathname === "/policy") {
+      if (request.method === "POST") return this.handleSetPolicy(request);
+      if (request.method === "GET") return jsonResponse(this.policySnapshot());
+    }
+
+    // 测试用的重启：丢掉内存里的调度状态，像被驱逐一样从 storage 重新恢复（端到端测试靠它覆盖 durable 队列和 wait 暂停的恢复）。
+    // 只在 GOLDFISH_ENABLE_PROBE 打开时可用，部署出去的 Router 不接受。
+    // 先交出响应再 abort；正在等结果的调用方会收到错误，durable 模式下它们的消息在恢复后重新投递
+    if (url.pathname === "/admin-restart" && request.method === "POST" && isEnabled(this.env.GOLDFISH_ENABLE_PROBE)) {
+      const queued = [...this.actors.values()].reduce((sum, actorState) => sum + actorState.queue.length, 0);
+      setTimeout(() => this.state.abort("Router restart requested"), 0);
+      return jsonResponse({ ok: true, action: "admin-restart", durable: this.durable, queued });
+    }
+
     // 管理员重置该 Router 管的所有 actor 的 meta（并可选通知 Actor 本身清理）
     if (url.pathname === "/admin-reset" && request.method === "POST") {
       const body = await request.json().catch(() => ({}));
       const { actorTypePrefix } = body; 
       // 比如传 "room:" 或 "" 表示全部
 
+      // 先丢弃这些 actor 还在排队的消息（内存队列和 storage 里的副本），等待中的调用方收到 ACTOR_RESET，
+      // 并解除 wait 暂停；正在处理的那一条已经交给 Actor DO，让它照常结束
+      for (const [actorKey, actorState] of this.actors) {
+        if (!actorKey.startsWith(actorTypePrefix || "")) continue;
+
+        const dropped = actorState.queue.splice(actorState.busy ? 1 : 0);
+        for (const m of dropped) {
+          await this.failMessage(m, routerError("Actor was reset", "ACTOR_RESET", 409));
+          await this.forgetMessage(m);
+        }
+        actorState.pausedUntil = null;
+        actorState.rateBucket = null;
+      }
+
       const prefix = "meta:" + (actorTypePrefix || "");
       const all = await this.state.storage.list({ prefix });
 
@@ -48,6 +218,18 @@ export class GoldfishRouter {
         await this.state.storage.delete(key);
       }
 
+      this.callerBuckets.clear();
+
+      // 被重置 actor 的死信和还没投递的定时消息也一并清掉
+      for (const recordPrefix of [DLQ_PREFIX, SCHED_PREFIX]) {
+        const records = await this.state.storage.list({ prefix: recordPrefix });
+        for (const [key, record] of records.entries()) {
+          if (record.actorKey.startsWith(actorTypePrefix || "")) {
+            await this.state.storage.delete(key);
+          }
+        }
+      }
+
       return new Response(
         JSON.stringify({ ok: true, cleared: [...all.keys()] }, null, 2),
         { status: 200, headers: { "Content-Type": "application/json" } }
@@ -66,24 +248,88 @@ export class GoldfishRouter {
       return new Response("Invalid JSON", { status: 400 });
     }
 
-    const { actorType, actorId, payload } = body;
-    const actorKey = `${actorType}:${actorId}`;
+    // mode："ask"（默认，等待结果）或 "tell"（入队后立即返回 messageId）
+    // async：像 tell 一样立即返回，但处理状态和结果会保存下来，可通过 /message-status 查询
+    // callChain：正在同步等待这条消息结果的 actor 链（最外层在前），由 ctx.ask 携带
+    // idempotencyKey：同一 actor 在 policy.idempotencyWindowMs 内重复的 key 只会处理一次
+    // caller：Worker 认证出的最初调用方 { sub, role }，随消息一路传给 handler（未开启认证时为 null）
+    // clientId：外部调用方标识，只有 Worker 入口会带上；有它才做 policy.rateLimit 限流
+    // deliverAt（毫秒时间戳）/ delayMs：定时投递，存进 storage 后立即返回 scheduleId，到点再入队
+    const {
+      actorType,
+      actorId,
+      payload,
+      mode = "ask",
+      async = false,
+      hops = 0,
+      callChain = [],
+      idempotencyKey = null,
+      caller = null,
+      clientId = null,
+      deliverAt = null,
+      delayMs = null
+    } = body;
 
-    let actorState = this.actors.get(actorKey);
-    if (!actorState) {
-      actorState = {
-        actorKey,
-        actorType,
-        actorId,
-        busy: false,
-        queue: [],
-        policy: {
-          queueLimit: 100,           // 队列长度上限
-          timeoutMs: 30_000,         // 单请求超时
-          maxPayloadBytes: 64 * 1024 // 简单的 payload 大小限制
-        }
-      };
-      this.actors.set(actorKey, actorState);
+    if (mode !== "ask" && mode !== "tell") {
+      return jsonResponse({ ok: false, error: `Unknown mode: ${mode}` }, 400);
+    }
+
+    // 被其他 Router 转发过来的消息：跳数超限直接拒绝，防止 redirect 环路
+    if (hops > MAX_REDIRECT_HOPS) {
+      return new Response(
+        JSON.stringify({ ok: false, error: "Redirect hop limit exceeded" }),
+        { status: 508, headers: { "Content-Type": "application/json" } }
+      );
+    }
+
+    // 按注册的 schema 校验 payload，不合法的消息不进队列
+    const errors = validatePayload(actorType, payload);
+    if (errors.length > 0) {
+      return jsonResponse({
+        ok: false,
+        code: "INVALID_PAYLOAD",
+        error: `Invalid payload for ${actorType}.${payload.type}`,
+        errors
+      }, 400);
+    }
+
+    const schedule = resolveSchedule(deliverAt, delayMs, Date.now());
+    if (schedule.error) {
+      return jsonResponse({ ok: false, code: "INVALID_SCHEDULE", error: schedule.error }, 400);
+    }
+
+    const actorState = this.getOrCreateActorState(actorType, actorId);
+
+    // 目标 actor 已经在调用链上：它正等着这条调用返回，排队只会互相等到超时
+    // （定时消息不会被同步等待，不存在这个问题）
+    if (!schedule.at && callChain.includes(actorState.actorKey)) {
+      if (actorState.policy.reentrant) {
+        return this.handleReentrant(actorState, payload, callChain, caller);
+      }
+
+      const cycle = [...callChain.slice(callChain.indexOf(actorState.actorKey)), actorState.actorKey];
+      return deadlockResponse(cycle, callChain);
+    }
+
+    // 目标正在处理的消息自己也在（间接）等调用链上的某个 actor：排进它的队列同样只会等到超时
+    const waitsOnAsk = !schedule.at && mode === "ask" && !async && callChain.length > 0;
+    if (waitsOnAsk) {
+      const path = this.findWaitPath(actorState.actorKey, callChain);
+      if (path) {
+        return deadlockResponse([...callChain.slice(callChain.indexOf(path.at(-1))), ...path], callChain);
+      }
+    }
+
+    // 重复的幂等键：返回原结果，或等待原消息处理完
+    if (idempotencyKey) {
+      const replay = await this.replayIdempotent(actorState, idempotencyKey);
+      if (replay) return replay;
+    }
+
+    // 外部请求的令牌桶限流（actor 之间的内部消息不受限）
+    if (clientId) {
+      const limited = this.checkRateLimit(actorState, clientId);
+      if (limited) return limited;
     }
 
     // 粗略 payload size 检查（JSON 长度）
@@ -95,6 +341,11 @@ export class GoldfishRouter {
       );
     }
 
+    // 定时消息先不进队列，也就不受当前队列长度限制
+    if (schedule.at) {
+      return this.scheduleMessage(actorState, { payload, deliverAt: schedule.at, idempotencyKey, caller });
+    }
+
     // 队列限流
     if (actorState.queue.length >= actorState.policy.queueLimit) {
       return new Response(
@@ -106,53 +357,635 @@ export class GoldfishRouter {
     const messageId = crypto.randomUUID();
     const message = {
       messageId,
+      actorKey: actorState.actorKey,
       payload,
+      hops,
+      callChain,
+      idempotencyKey,
+      caller,
+      // async 和带幂等键的消息都可以通过 /message-status 查询
+      track: !!async || !!idempotencyKey,
+      status: "queued",
+      seq: this.nextSeq(),
       enqueuedAt: Date.now()
     };
 
+    // durable 模式：先落盘再入队
+    await this.persistMessage(actorState, message);
+    await this.recordStatus(message);
     actorState.queue.push(message);
 
+    // tell / async：消息已按 FIFO 进入该 actor 的队列，不等待处理结果
+    if (mode === "tell" || async) {
+      const accepted = {
+        ok: true,
+        mode: async ? "async" : mode,
+        messageId,
+        actorKey: actorState.actorKey
+      };
+      await this.rememberIdempotent(actorState, message, { status: 202, body: accepted });
+      this.triggerDraining();
+      return jsonResponse(accepted, 202);
+    }
+
+    await this.rememberIdempotent(actorState, message, null);
+
     // 为当前 HTTP 请求准备一个 Promise
     const resultPromise = new Promise((resolve, reject) => {
-      this.pendingResults.set(messageId, { resolve, reject });
+      this.pendingResults.set(messageId, { resolve, reject, timeoutId: null, deadline: 0 });
     });
 
+    // 超时保护：actor 处于 wait 暂停时，从恢复时刻开始计时
+    const startAt = Math.max(Date.now(), actorState.pausedUntil || 0);
+    this.extendTimeout(messageId, startAt + actorState.policy.timeoutMs);
+
     // 启动异步调度
     this.triggerDraining();
 
-    // 超时保护
-    let timeoutId;
-    const timeoutPromise = new Promise((_, reject) => {
-      timeoutId = setTimeout(() => {
-        this.pendingResults.delete(messageId);
-        reject(new Error("Processing timeout"));
-      }, actorState.policy.timeoutMs);
-    });
+    // 发出这条 ask 的 actor 在结果回来之前都卡在 actorState 上
+    const waiter = waitsOnAsk ? callChain.at(-1) : null;
+    if (waiter) this.addWait(waiter, actorState.actorKey);
 
     try {
-      const result = await Promise.race([resultPromise, timeoutPromise]);
-      clearTimeout(timeoutId);
+      const result = await resultPromise;
       return new Response(
         JSON.stringify({ ok: true, result }),
         { status: 200, headers: { "Content-Type": "application/json" } }
       );
     } catch (err) {
-      return new Response(
-        JSON.stringify({ ok: false, error: err.message }),
-        { status: 504, headers: { "Content-Type": "application/json" } }
-      );
+      // 超时的消息仍在队列里，之后转为可查询，调用方可以用 messageId 取回最终结果
+      if (err.code === "TIMEOUT") {
+        message.track = true;
+        await this.persistMessage(actorState, message);
+        await this.recordStatus(message);
+      }
+      return jsonResponse(errorBody(err, messageId), err.status || 500);
+    } finally {
+      if (waiter) this.removeWait(waiter, actorState.actorKey);
+    }
+  }
+
+  addWait(fromKey, toKey) {
+    if (!this.waitsFor.has(fromKey)) this.waitsFor.set(fromKey, new Map());
+    const targets = this.waitsFor.get(fromKey);
+    targets.set(toKey, (targets.get(toKey) || 0) + 1);
+  }
+
+  removeWait(fromKey, toKey) {
+    const targets = this.waitsFor.get(fromKey);
+    if (!targets) return;
+    const count = (targets.get(toKey) || 0) - 1;
+    if (count > 0) {
+      targets.set(toKey, count);
+    } else {
+      targets.delete(toKey);
+      if (targets.size === 0) this.waitsFor.delete(fromKey);
+    }
+  }
+
+  /**
+   * 沿等待图从 fromKey 往下走，找到 callChain 上的某个 actor 时返回路径 [fromKey, ..., 那个 actor]，否则 null。
+   * 等待图只记录发给本 Router 的 ask，所以只能发现同一 actorType 内的环
+   */
+  findWaitPath(fromKey, callChain) {
+    const blocked = new Set(callChain);
+    const visited = new Set([fromKey]);
+    const stack = [[fromKey]];
+    while (stack.length > 0) {
+      const path = stack.pop();
+      for (const next of this.waitsFor.get(path.at(-1))?.keys() || []) {
+        if (blocked.has(next)) return [...path, next];
+        if (visited.has(next)) continue;
+        visited.add(next);
+        stack.push([...path, next]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 同一个 actor 上见过的幂等键：
+   *  - 已有结果（ask 成功 / tell、async 已入队）→ 原样返回
+   *  - 原消息还在处理 → 等它完成，和原调用方拿到同一个结果
+   *  - 原消息在 Router 重启前入队、已没有可等待的对象 → 409，可用 messageId 查 /message-status
+   * 返回 null 表示这是新 key，按正常流程入队。
+   */
+  async replayIdempotent(actorState, idempotencyKey) {
+    const storageKey = `${IDEM_PREFIX}${actorState.actorKey}:${idempotencyKey}`;
+    const record = await this.state.storage.get(storageKey);
+    if (!record || record.expiresAt <= Date.now()) return null;
+
+    if (record.response) {
+      return jsonResponse({ ...record.response.body, idempotentReplay: true }, record.response.status);
+    }
+
+    const waiter = this.idempotencyWaiters.get(storageKey);
+    if (!waiter) {
+      return jsonResponse({
+        ok: false,
+        code: "IDEMPOTENCY_IN_PROGRESS",
+        error: "A message with this idempotency key is still being processed",
+        messageId: record.messageId
+      }, 409);
+    }
+
+    let timeoutId;
+    const timeout = new Promise(resolve => {
+      timeoutId = setTimeout(() => resolve(null), actorState.policy.timeoutMs);
+    });
+    const response = await Promise.race([waiter.promise, timeout]);
+    clearTimeout(timeoutId);
+
+    if (!response) {
+      return jsonResponse({ ok: false, error: "Processing timeout", messageId: record.messageId }, 504);
+    }
+    return jsonResponse({ ...response.body, idempotentReplay: true }, response.status);
+  }
+
+  /**
+   * 新的幂等消息入队时登记 key；response 不为空（tell / async）时直接记下要重放的响应
+   */
+  async rememberIdempotent(actorState, message, response) {
+    if (!message.idempotencyKey) return;
+
+    const storageKey = `${IDEM_PREFIX}${actorState.actorKey}:${message.idempotencyKey}`;
+    const expiresAt = message.enqueuedAt + actorState.policy.idempotencyWindowMs;
+    await this.state.storage.put(storageKey, { messageId: message.messageId, response, expiresAt });
+
+    if (!response) {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      this.idempotencyWaiters.set(storageKey, { promise, resolve });
+    }
+
+    if (this.noteExpiry(expiresAt)) {
+      await this.scheduleAlarm();
+    }
+  }
+
+  /**
+   * 幂等 ask 处理结束：唤醒重试请求；成功的响应保存下来，失败的删除 key 让客户端可以重试
+   */
+  async settleIdempotent(message, response) {
+    if (!message.idempotencyKey) return;
+
+    // 同类型 redirect 后 message.actorKey 已变，key 仍按最初入队的 actor 记录
+    const storageKey = `${IDEM_PREFIX}${message.idempotencyScope || message.actorKey}:${message.idempotencyKey}`;
+    const waiter = this.idempotencyWaiters.get(storageKey);
+    if (waiter) {
+      waiter.resolve(response);
+      this.idempotencyWaiters.delete(storageKey);
+    }
+
+    const record = await this.state.storage.get(storageKey);
+    if (!record || record.messageId !== message.messageId || record.response) return;
+
+    if (response.status === 200) {
+      await this.state.storage.put(storageKey, { ...record, response });
+    } else {
+      await this.state.storage.delete(storageKey);
+    }
+  }
+
+  /**
+   * GET /message-status?messageId=
+   * tracked 消息从 storage 读取（包括结果）；普通消息只能查到还在内存队列里的排队 / 运行状态
+   */
+  async handleMessageStatus(messageId) {
+    if (!messageId) {
+      return jsonResponse({ ok: false, error: "messageId is required" }, 400);
+    }
+
+    const record = await this.state.storage.get(RESULT_PREFIX + messageId);
+    if (record && !(record.expiresAt && record.expiresAt <= Date.now())) {
+      return jsonResponse({ ok: true, ...record });
+    }
+
+    for (const actorState of this.actors.values()) {
+      const m = actorState.queue.find(q => q.messageId === messageId);
+      if (m) {
+        return jsonResponse({
+          ok: true,
+          messageId,
+          actorKey: actorState.actorKey,
+          status: m.status,
+          attempts: m.attempts || 0,
+          enqueuedAt: m.enqueuedAt
+        });
+      }
+    }
+
+    // 还没到点的定时消息
+    const scheduled = await this.state.storage.get(SCHED_PREFIX + messageId);
+    if (scheduled) {
+      return jsonResponse({
+        ok: true,
+        messageId,
+        actorKey: scheduled.actorKey,
+        status: "scheduled",
+        deliverAt: scheduled.deliverAt,
+        createdAt: scheduled.createdAt
+      });
+    }
+
+    // 没有保存结果的消息，失败后仍可在死信里找到
+    const deadLetter = await this.state.storage.get(DLQ_PREFIX + messageId);
+    if (deadLetter) {
+      return jsonResponse({
+        ok: true,
+        messageId,
+        actorKey: deadLetter.actorKey,
+        status: "failed",
+        deadLettered: true,
+        error: deadLetter.error,
+        enqueuedAt: deadLetter.enqueuedAt
+      });
+    }
+
+    return jsonResponse({ ok: false, error: "Unknown or expired messageId" }, 404);
+  }
+
+  /**
+   * GET /dead-letters[?messageId=]
+   * 不带 messageId：按失败时间列出所有死信（不含 payload）；带 messageId：返回完整记录
+   */
+  async handleListDeadLetters(messageId) {
+    if (messageId) {
+      const record = await this.state.storage.get(DLQ_PREFIX + messageId);
+      if (!record) {
+        return jsonResponse({ ok: false, error: "Unknown dead letter" }, 404);
+      }
+      return jsonResponse({ ok: true, deadLetter: record });
+    }
+
+    const stored = await this.state.storage.list({ prefix: DLQ_PREFIX });
+    const deadLetters = [...stored.values()]
+      .sort((a, b) => a.failedAt - b.failedAt)
+      .map(({ payload, callChain, caller, ...summary }) => summary);
+
+    return jsonResponse({ ok: true, count: deadLetters.length, deadLetters });
+  }
+
+  /**
+   * POST /dead-letters/replay  body: { messageIds?: string[] }，不传则重放全部
+   * 按原 messageId 重新放回各自 actor 队列尾部（不受 queueLimit 限制），
+   * 之后可以用 /message-status 查询结果。
+   */
+  async handleReplayDeadLetters(request) {
+    const body = await request.json().catch(() => ({}));
+    const records = await this.loadDeadLetters(body.messageIds);
+
+    const replayed = [];
+    for (const record of records) {
+      const actorState = this.getOrCreateActorState(record.actorType, record.actorId);
+      const message = {
+        messageId: record.messageId,
+        actorKey: actorState.actorKey,
+        payload: record.payload,
+        hops: 0,
+        callChain: [],
+        idempotencyKey: record.idempotencyKey || null,
+        caller: record.caller || null,
+        track: true,
+        status: "queued",
+        seq: this.nextSeq(),
+        enqueuedAt: Date.now(),
+        replays: (record.replays || 0) + 1
+      };
+
+      await this.persistMessage(actorState, message);
+      await this.recordStatus(message);
+      actorState.queue.push(message);
+      await this.state.storage.delete(DLQ_PREFIX + record.messageId);
+      replayed.push({ messageId: record.messageId, actorKey: actorState.actorKey });
+    }
+
+    this.triggerDraining();
+    return jsonResponse({ ok: true, replayed });
+  }
+
+  /**
+   * POST /dead-letters/purge  body: { messageIds?: string[] }，不传则清空
+   */
+  async handlePurgeDeadLetters(request) {
+    const body = await request.json().catch(() => ({}));
+    const records = await this.loadDeadLetters(body.messageIds);
+
+    const purged = records.map(r => r.messageId);
+    await this.state.storage.delete(purged.map(id => DLQ_PREFIX + id));
+
+    return jsonResponse({ ok: true, purged });
+  }
+
+  async loadDeadLetters(messageIds) {
+    if (Array.isArray(messageIds)) {
+      const stored = await this.state.storage.get(messageIds.map(id => DLQ_PREFIX + id));
+      return [...stored.values()];
+    }
+    const stored = await this.state.storage.list({ prefix: DLQ_PREFIX });
+    return [...stored.values()].sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  /**
+   * 定时消息：存进 storage，alarm 到点后按 scheduleId 作为 messageId 入队（tracked，可查 /message-status）
+   */
+  async scheduleMessage(actorState, { payload, deliverAt, idempotencyKey, caller }) {
+    const scheduleId = crypto.randomUUID();
+    const now = Date.now();
+    await this.state.storage.put(SCHED_PREFIX + scheduleId, {
+      scheduleId,
+      actorKey: actorState.actorKey,
+      actorType: actorState.actorType,
+      actorId: actorState.actorId,
+      payload,
+      deliverAt,
+      idempotencyKey,
+      caller,
+      createdAt: now
+    });
+
+    const accepted = {
+      ok: true,
+      mode: "scheduled",
+      messageId: scheduleId,
+      scheduleId,
+      actorKey: actorState.actorKey,
+      deliverAt
+    };
+    await this.rememberIdempotent(actorState, { messageId: scheduleId, idempotencyKey, enqueuedAt: now }, { status: 202, body: accepted });
+
+    if (this.noteDelivery(deliverAt)) {
+      await this.scheduleAlarm();
+    }
+    return jsonResponse(accepted, 202);
+  }
+
+  /**
+   * alarm 到点：把到期的定时消息按 deliverAt 顺序放进各自 actor 的队列尾部
+   */
+  async deliverScheduled(now) {
+    this.nextDeliveryAt = null;
+    const stored = await this.state.storage.list({ prefix: SCHED_PREFIX });
+
+    const due = [];
+    for (const record of stored.values()) {
+      if (record.deliverAt <= now) {
+        due.push(record);
+      } else {
+        this.noteDelivery(record.deliverAt);
+      }
+    }
+    due.sort((a, b) => a.deliverAt - b.deliverAt || a.createdAt - b.createdAt);
+
+    for (const record of due) {
+      const actorState = this.getOrCreateActorState(record.actorType, record.actorId);
+      const message = {
+        messageId: record.scheduleId,
+        actorKey: actorState.actorKey,
+        payload: record.payload,
+        hops: 0,
+        callChain: [],
+        idempotencyKey: record.idempotencyKey || null,
+        caller: record.caller || null,
+        track: true,
+        status: "queued",
+        seq: this.nextSeq(),
+        enqueuedAt: now,
+        deliverAt: record.deliverAt
+      };
+      await this.state.storage.delete(SCHED_PREFIX + record.scheduleId);
+
+      // 和普通 tell 一样受 queueLimit 约束；放不下的进死信，可以之后 replay
+      if (actorState.queue.length >= actorState.policy.queueLimit) {
+        await this.dropMessage(message, routerError("Queue is full", "QUEUE_FULL", 429), "rejected");
+        continue;
+      }
+
+      await this.persistMessage(actorState, message);
+      await this.recordStatus(message);
+      actorState.queue.push(message);
+    }
+  }
+
+  /**
+   * GET /scheduled?actorId=&owner=
+   * owner 不为空时只列出该调用方（caller.sub）自己创建的定时消息
+   */
+  async handleListScheduled(actorId, owner) {
+    const stored = await this.state.storage.list({ prefix: SCHED_PREFIX });
+    const scheduled = [...stored.values()]
+      .filter(record => !actorId || record.actorId === actorId)
+      .filter(record => !owner || record.caller?.sub === owner)
+      .sort((a, b) => a.deliverAt - b.deliverAt)
+      .map(({ idempotencyKey, ...record }) => record);
+
+    return jsonResponse({ ok: true, count: scheduled.length, scheduled });
+  }
+
+  /**
+   * POST /scheduled/cancel  body: { scheduleIds: string[], owner? }
+   * 已经投递（或不属于 owner）的 scheduleId 放进 notFound
+   */
+  async handleCancelScheduled(request) {
+    const body = await request.json().catch(() => ({}));
+    if (!Array.isArray(body.scheduleIds) || body.scheduleIds.length === 0) {
+      return jsonResponse({ ok: false, error: "scheduleIds must be a non-empty array" }, 400);
+    }
+
+    const stored = await this.state.storage.get(body.scheduleIds.map(id => SCHED_PREFIX + id));
+    const cancelled = [];
+    const notFound = [];
+    for (const scheduleId of body.scheduleIds) {
+      const record = stored.get(SCHED_PREFIX + scheduleId);
+      if (!record || (body.owner && record.caller?.sub !== body.owner)) {
+        notFound.push(scheduleId);
+        continue;
+      }
+      cancelled.push(scheduleId);
+    }
+
+    await this.state.storage.delete(cancelled.map(id => SCHED_PREFIX + id));
+    return jsonResponse({ ok: true, cancelled, notFound });
+  }
+
+  /**
+   * 声明了 reentrant 的 actor 被自己调用链上的下游回调：
+   * 不进队列，直接再进入一次 Actor DO（外层那次调用还在 await，中间没有存储操作的窗口可以交错执行）。
+   * 重入调用返回的 nextPolicy 不生效，调度仍由外层那条消息决定。
+   */
+  async handleReentrant(actorState, payload, callChain, caller) {
+    const resp = await this.invokeActor(actorState, { payload, callChain, caller });
+    if (!resp.ok) {
+      const err = await readInvokeError(resp);
+      return jsonResponse(errorBody(err), err.status);
+    }
+
+    const body = await resp.json().catch(() => ({}));
+    return jsonResponse({
+      ok: true,
+      result: { result: body.result, actorKey: actorState.actorKey, reentrant: true }
+    });
+  }
+
+  /**
+   * policy.rateLimit：调用方的桶和目标 actor 的桶都还有令牌才放行，各扣一个；
+   * 否则返回 429 RATE_LIMITED，Retry-After 为最先耗尽的那个桶攒够一个令牌所需的秒数
+   */
+  checkRateLimit(actorState, clientId) {
+    const { perCaller, perActor } = actorState.policy.rateLimit;
+    const now = Date.now();
+
+    const limits = [];
+    if (perCaller) {
+      if (!this.callerBuckets.has(clientId)) {
+        if (this.callerBuckets.size >= MAX_CALLER_BUCKETS) this.pruneCallerBuckets(perCaller, now);
+        this.callerBuckets.set(clientId, { tokens: perCaller.capacity, updatedAt: now });
+      }
+      limits.push({ scope: "caller", key: clientId, config: perCaller, bucket: this.callerBuckets.get(clientId) });
+    }
+    if (perActor) {
+      actorState.rateBucket = actorState.rateBucket || { tokens: perActor.capacity, updatedAt: now };
+      limits.push({ scope: "actor", key: actorState.actorKey, config: perActor, bucket: actorState.rateBucket });
+    }
+
+    for (const limit of limits) {
+      refillBucket(limit.bucket, limit.config, now);
+    }
+
+    const exhausted = limits.find(limit => limit.bucket.tokens < 1);
+    if (exhausted) {
+      const retryAfterMs = Math.ceil(((1 - exhausted.bucket.tokens) / exhausted.config.refillPerSec) * 1000);
+      return jsonResponse({
+        ok: false,
+        code: "RATE_LIMITED",
+        error: `Rate limit exceeded for ${exhausted.scope} ${exhausted.key}`,
+        scope: exhausted.scope,
+        retryAfterMs
+      }, 429, { "Retry-After": String(Math.ceil(retryAfterMs / 1000)) });
+    }
+
+    for (const limit of limits) {
+      limit.bucket.tokens -= 1;
+    }
+    return null;
+  }
+
+  /**
+   * 丢掉已经回满的调用方令牌桶：回满的桶和新建的桶没有区别
+   */
+  pruneCallerBuckets(config, now) {
+    for (const [clientId, bucket] of this.callerBuckets) {
+      refillBucket(bucket, config, now);
+      if (bucket.tokens >= config.capacity) this.callerBuckets.delete(clientId);
+    }
+  }
+
+  /**
+   * 取出（或新建）某个 actor 的调度状态
+   */
+  getOrCreateActorState(actorType, actorId) {
+    const actorKey = `${actorType}:${actorId}`;
+
+    let actorState = this.actors.get(actorKey);
+    if (!actorState) {
+      this.actorType = this.actorType || actorType;
+      actorState = {
+        actorKey,
+        actorType,
+        actorId,
+        busy: false,
+        queue: [],
+        pausedUntil: null,
+        policy: this.resolvePolicy(actorType, actorKey),
+        // policy.rateLimit.perActor 的令牌桶（只在内存）
+        rateBucket: null
+      };
+      this.actors.set(actorKey, actorState);
     }
+    return actorState;
+  }
+
+  /**
+   * 计算某个 actor 的最终 policy（见 policy.js 的覆盖顺序）
+   */
+  resolvePolicy(actorType, actorKey) {
+    return mergePolicies(
+      this.envPolicies[actorType],
+      this.typePolicy,
+      this.actorPolicies.get(actorKey)
+    );
+  }
+
+  /**
+   * POST /policy
+   * body: { actorType, actorId?, policy }
+   *  - 不带 actorId：设置整个 actorType 的 policy
+   *  - 带 actorId：只覆盖这一个 actor
+   *  - policy 为 null：删除这一层配置，回落到下一层
+   */
+  async handleSetPolicy(request) {
+    const body = await request.json().catch(() => null);
+    if (!body) {
+      return new Response("Invalid JSON", { status: 400 });
+    }
+
+    const { actorType, actorId, policy } = body;
+    if (policy !== null) {
+      const errors = validatePolicy(policy);
+      if (errors.length > 0) {
+        return jsonResponse({ ok: false, error: "Invalid policy", details: errors }, 400);
+      }
+    }
+
+    this.actorType = this.actorType || actorType;
+
+    if (actorId) {
+      const actorKey = `${actorType}:${actorId}`;
+      if (policy === null) {
+        this.actorPolicies.delete(actorKey);
+        await this.state.storage.delete(ACTOR_POLICY_PREFIX + actorKey);
+      } else {
+        this.actorPolicies.set(actorKey, policy);
+        await this.state.storage.put(ACTOR_POLICY_PREFIX + actorKey, policy);
+      }
+    } else if (policy === null) {
+      this.typePolicy = null;
+      await this.state.storage.delete(TYPE_POLICY_KEY);
+    } else {
+      this.typePolicy = policy;
+      await this.state.storage.put(TYPE_POLICY_KEY, policy);
+    }
+
+    // 已有 actor 立即使用新 policy
+    for (const actorState of this.actors.values()) {
+      actorState.policy = this.resolvePolicy(actorState.actorType, actorState.actorKey);
+    }
+
+    return jsonResponse({ ok: true, ...this.policySnapshot() });
+  }
+
+  policySnapshot() {
+    return {
+      policies: {
+        defaults: mergePolicies(),
+        env: this.envPolicies[this.actorType] || null,
+        type: this.typePolicy,
+        actors: Object.fromEntries(this.actorPolicies)
+      }
+    };
   }
 
   /**
    * 查看当前 Router 管理的 actor 状态
    * 支持 query: /status?actorTypePrefix=room:
+   * - callers=1 时附带各调用方的令牌桶（rateLimits.callers），否则不返回 rateLimits
    * - 读取 Durable Storage 中的 meta:*（和 /admin-reset 一致）
    * - 合并内存中的 this.actors（内存优先）
    */
   async handleStatus(request) {
     const url = new URL(request.url);
     const actorTypePrefix = url.searchParams.get("actorTypePrefix") || "";
+    const now = Date.now();
 
     const prefix = "meta:" + actorTypePrefix;
 
@@ -171,7 +1004,9 @@ export class GoldfishRouter {
         actorId: meta.actorId,
         busy: meta.busy,
         queueLength: meta.queueLength,
-        policy: null,          // storage 里没有 policy，只在内存有
+        pausedUntil: meta.pausedUntil ?? null,
+        policy: this.resolvePolicy(meta.actorType, actorKey),
+        rateLimit: null,
         metaUpdatedAt: meta.updatedAt,
         fromStorage: true,
         fromMemory: false
@@ -190,7 +1025,9 @@ export class GoldfishRouter {
         // 已有 storage 信息，覆盖运行时字段
         existing.busy = actorState.busy;
         existing.queueLength = actorState.queue.length;
+        existing.pausedUntil = actorState.pausedUntil;
         existing.policy = actorState.policy;
+        existing.rateLimit = bucketSnapshot(actorState.rateBucket, actorState.policy.rateLimit.perActor, now);
         existing.fromMemory = true;
       } else {
         // 只在内存存在，还没有 persist 过 meta
@@ -200,7 +1037,9 @@ export class GoldfishRouter {
           actorId: actorState.actorId,
           busy: actorState.busy,
           queueLength: actorState.queue.length,
+          pausedUntil: actorState.pausedUntil,
           policy: actorState.policy,
+          rateLimit: bucketSnapshot(actorState.rateBucket, actorState.policy.rateLimit.perActor, now),
           metaUpdatedAt: null,
           fromStorage: false,
           fromMemory: true
@@ -208,39 +1047,86 @@ export class GoldfishRouter {
       }
     }
 
-    const snapshot = Array.from(statusMap.values());
+    const snapshot = Array.from(statusMap.values()).map(entry => ({
+      ...entry,
+      paused: !!entry.pausedUntil && entry.pausedUntil > now
+    }));
+
+    const concurrency = {
+      limit: this.maxConcurrency(),
+      draining: [...this.draining]
+    };
+
+    const body = { concurrency, ...this.policySnapshot() };
+    if (url.searchParams.get("callers") === "1") {
+      // 调用方令牌桶按 actorType 级 policy 计算（单个 actor 的覆盖只影响它自己的 perActor 桶）
+      const perCaller = this.resolvePolicy(this.actorType, null).rateLimit.perCaller;
+      body.rateLimits = {
+        callers: Object.fromEntries(
+          [...this.callerBuckets].map(([clientId, bucket]) => [clientId, bucketSnapshot(bucket, perCaller, now)])
+        )
+      };
+    }
+    body.actors = snapshot;
 
-    return new Response(JSON.stringify({ actors: snapshot }, null, 2), {
+    return new Response(JSON.stringify(body, null, 2), {
       status: 200,
       headers: { "Content-Type": "application/json" }
     });
   }
 
   /**
-   * 启动队列 draining（确保只有一个 drainLoop 在跑）
+   * 启动队列 draining：给每个可运行的 actor 起一个独立的 processActorQueue，
+   * 直到并发数达到上限。某个 actor 处理完后会再调用一次，把空出来的名额让给下一个。
    */
   triggerDraining() {
-    if (this.isDraining) return;
+    const now = Date.now();
+    const limit = this.maxConcurrency();
+    for (const actorState of this.actors.values()) {
+      if (!this.isRunnable(actorState, now)) continue;
+      // 名额用满时，只放行“正在 draining 的 actor 同步等待的”消息，否则两者会互相卡死
+      if (this.draining.size >= limit && !this.isAwaitedByDraining(actorState)) continue;
+      this.startDraining(actorState);
+    }
+  }
+
+  /**
+   * 队首消息是否是某个正在 draining 的 actor 发出并同步等待的（例如 room A ask room B）
+   */
+  isAwaitedByDraining(actorState) {
+    const head = actorState.queue[0];
+    return !!head?.callChain?.some(key => this.draining.has(key));
+  }
+
+  startDraining(actorState) {
+    this.draining.add(actorState.actorKey);
 
-    this.isDraining = true;
-    const p = this.drainLoop()
+    const p = this.processActorQueue(actorState)
       .catch(err => {
-        console.error("Error in drainLoop:", err);
+        console.error(`Error while draining ${actorState.actorKey}:`, err);
       })
       .finally(() => {
-        this.isDraining = false;
-        // 如果还有未处理的消息，再来一次
-        if (this.hasPendingWork()) {
-          this.triggerDraining();
-        }
+        this.draining.delete(actorState.actorKey);
+        // 空出一个名额（或本 actor 又来了新消息），继续调度
+        this.triggerDraining();
       });
 
     this.state.waitUntil(p);
   }
 
+  /**
+   * 并发上限：GOLDFISH_MAX_CONCURRENCY 可以是数字，
+   * 也可以是按 actorType 配置的 JSON，例如 { "question": 16, "default": 4 }
+   */
+  maxConcurrency() {
+    const config = this.concurrencyConfig;
+    return config[this.actorType] ?? config.default ?? DEFAULT_MAX_CONCURRENCY;
+  }
+
   hasPendingWork() {
+    const now = Date.now();
     for (const actorState of this.actors.values()) {
-      if (!actorState.busy && actorState.queue.length > 0) {
+      if (this.isRunnable(actorState, now)) {
         return true;
       }
     }
@@ -248,14 +1134,70 @@ export class GoldfishRouter {
   }
 
   /**
-   * 简单轮询：对每个 actor 处理队列
+   * actor 是否可以开始处理：不忙、有消息、且不在 wait 暂停期内
+   */
+  isRunnable(actorState, now) {
+    if (actorState.busy) return false;
+    if (actorState.queue.length === 0) return false;
+    return !(actorState.pausedUntil && actorState.pausedUntil > now);
+  }
+
+  /**
+   * Durable Object alarm：wait 暂停到期，恢复对应 actor 的队列；到点的定时消息入队
    */
-  async drainLoop() {
+  async alarm() {
+    const now = Date.now();
     for (const actorState of this.actors.values()) {
-      if (actorState.busy) continue;
-      if (actorState.queue.length === 0) continue;
-      await this.processActorQueue(actorState);
+      if (actorState.pausedUntil && actorState.pausedUntil <= now) {
+        actorState.pausedUntil = null;
+        await this.persistActorState(actorState);
+      }
+    }
+
+    if (this.nextSweepAt && this.nextSweepAt <= now) {
+      await this.sweepExpired(now);
     }
+
+    if (this.nextDeliveryAt && this.nextDeliveryAt <= now) {
+      await this.deliverScheduled(now);
+    }
+
+    this.triggerDraining();
+    await this.scheduleAlarm();
+  }
+
+  /**
+   * 把 storage alarm 设到最早的截止时间（wait 暂停恢复 / 过期记录清理 / 定时消息；都没有则清除）
+   */
+  async scheduleAlarm() {
+    let next = this.nextSweepAt;
+    if (this.nextDeliveryAt && (next === null || this.nextDeliveryAt < next)) {
+      next = this.nextDeliveryAt;
+    }
+    for (const actorState of this.actors.values()) {
+      if (actorState.pausedUntil && (next === null || actorState.pausedUntil < next)) {
+        next = actorState.pausedUntil;
+      }
+    }
+
+    if (next === null) {
+      await this.state.storage.deleteAlarm();
+    } else {
+      await this.state.storage.setAlarm(next);
+    }
+  }
+
+  /**
+   * 暂停 actor 的队列直到 resumeAt，并顺延排队调用方的超时
+   */
+  async pauseActor(actorState, resumeAt) {
+    actorState.pausedUntil = resumeAt;
+
+    for (const m of actorState.queue) {
+      this.extendTimeout(m.messageId, resumeAt + actorState.policy.timeoutMs);
+    }
+
+    await this.scheduleAlarm();
   }
 
   /**
@@ -269,25 +1211,40 @@ export class GoldfishRouter {
       while (actorState.queue.length > 0) {
         const message = actorState.queue[0];
 
-        const actorDoId = this.env.GOLDFISH_ACTOR.idFromName(actorState.actorKey);
-        const actorStub = this.env.GOLDFISH_ACTOR.get(actorDoId);
+        message.status = "running";
+        message.attempts = (message.attempts || 0) + 1;
+        await this.recordStatus(message);
 
-        const resp = await actorStub.fetch("https://actor.internal/invoke", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            payload: message.payload,
-            actorType: actorState.actorType,
-            actorId: actorState.actorId
-          })
-        });
+        // fetch 本身抛错（DO 重启、部署切换等）和非 2xx 响应一样处理，不能让异常跳出循环
+        let resp;
+        let err = null;
+        try {
+          resp = await this.invokeActor(actorState, message);
+          if (!resp.ok) {
+            err = await readInvokeError(resp);
+          }
+        } catch (e) {
+          err = routerError(`Actor DO error: ${e.message}`, "ACTOR_UNAVAILABLE", 502);
+          err.actorStatus = null;
+        }
+
+        if (err) {
+          // handler 自己报的错（结构化错误）不是暂时性故障，不重试
+          const { retry } = actorState.policy;
+          const retryable = !err.handlerError
+            && (err.actorStatus === null || retry.retryOn.includes(err.actorStatus));
 
-        if (!resp.ok) {
-          const pending = this.pendingResults.get(message.messageId);
-          if (pending) {
-            pending.reject(new Error(`Actor DO error: ${resp.status}`));
-            this.pendingResults.delete(message.messageId);
+          if (retryable && message.attempts < retry.maxAttempts) {
+            // 消息留在队首，整个 actor 暂停到退避结束，后面的消息不会插队
+            message.status = "queued";
+            message.lastError = err.message;
+            await this.persistMessage(actorState, message);
+            await this.recordStatus(message, { attempts: message.attempts, lastError: err.message });
+            await this.pauseActor(actorState, Date.now() + retryDelay(retry, message.attempts));
+            break;
           }
+
+          await this.dropMessage(message, err, "failed");
           actorState.queue.shift();
           break;
         }
@@ -301,45 +1258,40 @@ export class GoldfishRouter {
 
         // spawn: 为新 actorId 建立本地状态占位（不主动发消息）
         for (const childId of spawn) {
-          const childKey = `${actorState.actorType}:${childId}`;
-          if (!this.actors.has(childKey)) {
-            this.actors.set(childKey, {
-              actorKey: childKey,
-              actorType: actorState.actorType,
-              actorId: childId,
-              busy: false,
-              queue: [],
-              policy: { ...actorState.policy }
-            });
-          }
+          this.getOrCreateActorState(actorState.actorType, childId);
         }
 
         // 把结果返回给 HTTP 调用方
-        const pending = this.pendingResults.get(message.messageId);
-        if (pending) {
-          pending.resolve({
-            result,
-            actorKey: actorState.actorKey
-          });
-          this.pendingResults.delete(message.messageId);
-        }
+        await this.completeMessage(message, {
+          result,
+          actorKey: actorState.actorKey
+        });
 
-        // 当前消息处理完
+        // 当前消息处理完（Actor DO 已确认，可以从 storage 删除）
+        await this.forgetMessage(message);
         actorState.queue.shift();
 
         // 根据 nextPolicy 处理后续消息
         if (nextPolicy.mode === "wait") {
-          // 暂停：留在队列里，下次 drainLoop 再继续
+          // 暂停：后续消息留在队列里，到 untilMs / now + delayMs 由 alarm 恢复；
+          // 两者都没给时只让出本轮，由下一次 triggerDraining 继续
+          const resumeAt = resolveResumeAt(nextPolicy, Date.now());
+          if (resumeAt) {
+            await this.pauseActor(actorState, resumeAt);
+          }
           break;
         } else if (nextPolicy.mode === "reject") {
-          // 简单实现：拒绝并清空后续所有消息
-          // TODO: 支持 nextPolicy.redirectTo 把消息转到别的 actor
+          // 有 redirectTo：把后续所有消息转发给目标 actor；否则拒绝并清空
+          const target = nextPolicy.redirectTo
+            ? parseRedirectTarget(nextPolicy.redirectTo, actorState.actorType)
+            : null;
+
           while (actorState.queue.length > 0) {
             const m = actorState.queue.shift();
-            const pending2 = this.pendingResults.get(m.messageId);
-            if (pending2) {
-              pending2.reject(new Error("Message rejected by actor"));
-              this.pendingResults.delete(m.messageId);
+            if (target) {
+              await this.redirectMessage(m, target, actorState);
+            } else {
+              await this.dropMessage(m, routerError("Message rejected by actor", "REJECTED", 409), "rejected");
             }
           }
           break;
@@ -354,6 +1306,271 @@ export class GoldfishRouter {
     }
   }
 
+  /**
+   * 调用 Actor DO 的 /invoke
+   */
+  async invokeActor(actorState, message) {
+    const actorDoId = this.env.GOLDFISH_ACTOR.idFromName(actorState.actorKey);
+    const actorStub = this.env.GOLDFISH_ACTOR.get(actorDoId);
+
+    return actorStub.fetch("https://actor.internal/invoke", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        payload: message.payload,
+        actorType: actorState.actorType,
+        actorId: actorState.actorId,
+        callChain: message.callChain || [],
+        idempotencyKey: message.idempotencyKey || null,
+        caller: message.caller || null
+      })
+    });
+  }
+
+  /**
+   * 把一条排队中的消息转发给 target actor，原 HTTP 调用方拿到的是 target 的结果。
+   * - 同一 actorType：直接放进本 Router 里 target 的队列（保留 messageId）
+   * - 不同 actorType：交给目标 Router 的 /route，再把结果回填
+   */
+  async redirectMessage(message, target, sourceState) {
+    if (!target.actorId) {
+      await this.dropMessage(message, routerError("Invalid redirectTo target", "INVALID_REDIRECT", 500), "rejected");
+      return;
+    }
+
+    const hops = (message.hops || 0) + 1;
+    if (hops > MAX_REDIRECT_HOPS) {
+      await this.dropMessage(message, routerError("Redirect hop limit exceeded", "REDIRECT_LOOP", 508), "rejected");
+      return;
+    }
+
+    if (target.actorType === sourceState.actorType) {
+      const targetState = this.getOrCreateActorState(target.actorType, target.actorId);
+      if (targetState.queue.length >= targetState.policy.queueLimit) {
+        await this.dropMessage(message, routerError("Queue is full", "QUEUE_FULL", 429), "rejected");
+        return;
+      }
+      const redirected = {
+        ...message,
+        actorKey: targetState.actorKey,
+        idempotencyScope: message.idempotencyScope || message.actorKey,
+        hops,
+        status: "queued"
+      };
+      await this.persistMessage(targetState, redirected);
+      await this.recordStatus(redirected);
+      targetState.queue.push(redirected);
+      return;
+    }
+
+    // 跨 Router：目标 Router 自己负责持久化，这里的副本可以删掉
+    await this.forgetMessage(message);
+
+    const routerId = this.env.GOLDFISH_ROUTER.idFromName(target.actorType);
+    const routerStub = this.env.GOLDFISH_ROUTER.get(routerId);
+
+    const p = routerStub
+      .fetch("https://router.internal/route", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          actorType: target.actorType,
+          actorId: target.actorId,
+          payload: message.payload,
+          hops,
+          callChain: message.callChain || [],
+          caller: message.caller || null
+        })
+      })
+      .then(async resp => {
+        const json = await resp.json().catch(() => null);
+        if (json && json.ok) {
+          return this.completeMessage(message, json.result);
+        }
+        const err = routerError(json?.error || "Redirect target failed", json?.code, resp.status);
+        err.actorKey = json?.actorKey;
+        return this.failMessage(message, err);
+      })
+      .catch(err => this.failMessage(message, routerError(err.message, "ACTOR_UNAVAILABLE", 502)));
+
+    this.state.waitUntil(p);
+  }
+
+  nextSeq() {
+    this.lastSeq = Math.max(Date.now(), this.lastSeq + 1);
+    return this.lastSeq;
+  }
+
+  /**
+   * durable 模式：把排队消息写入 storage（非 durable 模式什么都不做）
+   */
+  async persistMessage(actorState, message) {
+    if (!this.durable) return;
+    await this.state.storage.put(MSG_PREFIX + message.messageId, {
+      ...message,
+      actorType: actorState.actorType,
+      actorId: actorState.actorId
+    });
+  }
+
+  async forgetMessage(message) {
+    if (!this.durable) return;
+    await this.state.storage.delete(MSG_PREFIX + message.messageId);
+  }
+
+  /**
+   * 消息处理成功：唤醒等待中的调用方，tracked 消息同时保存结果
+   */
+  async completeMessage(message, value) {
+    this.resolvePending(message.messageId, value);
+    message.status = "done";
+    await this.recordStatus(message, { result: value });
+    await this.settleIdempotent(message, { status: 200, body: { ok: true, result: value } });
+  }
+
+  /**
+   * 消息最终失败（Actor DO 出错 / 被拒绝 / 无法转发）
+   */
+  async failMessage(message, err) {
+    this.rejectPending(message.messageId, err);
+    message.status = "failed";
+    await this.recordStatus(message, { error: err.message, code: err.code });
+    await this.settleIdempotent(message, { status: err.status || 500, body: errorBody(err, message.messageId) });
+  }
+
+  /**
+   * 放弃一条消息：通知调用方失败、写入死信（payload 不合法的除外）、从 durable 队列删除。
+   * reason："failed"（Actor DO 返回错误）或 "rejected"（被 reject / redirect 丢弃，或 handler 返回 4xx）
+   */
+  async dropMessage(message, err, reason) {
+    await this.failMessage(message, err);
+
+    // payload 本身不合法的消息重放也不会成功，不进死信
+    if (err.handlerError && err.code === "INVALID_PAYLOAD") {
+      await this.forgetMessage(message);
+      return;
+    }
+
+    // 其他 4xx（例如房间不存在、状态不对）可能在条件变化后重放成功，记为 handler 拒绝
+    if (err.handlerError && err.status < 500) reason = "rejected";
+
+    const actorState = this.actors.get(message.actorKey);
+    await this.state.storage.put(DLQ_PREFIX + message.messageId, {
+      messageId: message.messageId,
+      actorKey: message.actorKey,
+      actorType: actorState.actorType,
+      actorId: actorState.actorId,
+      payload: message.payload,
+      callChain: message.callChain || [],
+      idempotencyKey: message.idempotencyKey || null,
+      caller: message.caller || null,
+      reason,
+      code: err.code || null,
+      error: err.message,
+      status: err.actorStatus ?? null,
+      attempts: message.attempts || 0,
+      replays: message.replays || 0,
+      enqueuedAt: message.enqueuedAt,
+      failedAt: Date.now()
+    });
+
+    await this.forgetMessage(message);
+  }
+
+  /**
+   * tracked 消息：把当前状态写入 result:<messageId>；
+   * 进入 done / failed 后按 policy.resultTtlMs 保留，过期后由 alarm 清理
+   */
+  async recordStatus(message, extra = {}) {
+    if (!message.track) return;
+
+    const now = Date.now();
+    const record = {
+      messageId: message.messageId,
+      actorKey: message.actorKey,
+      status: message.status,
+      enqueuedAt: message.enqueuedAt,
+      updatedAt: now,
+      ...extra
+    };
+
+    if (message.status === "done" || message.status === "failed") {
+      const ttl = this.actors.get(message.actorKey)?.policy.resultTtlMs ?? mergePolicies().resultTtlMs;
+      record.expiresAt = now + ttl;
+      if (this.noteExpiry(record.expiresAt)) {
+        await this.scheduleAlarm();
+      }
+    }
+
+    await this.state.storage.put(RESULT_PREFIX + message.messageId, record);
+  }
+
+  /**
+   * 记录一个 result / idem 过期时间；返回 true 表示最早的清理时间提前了，需要重设 alarm
+   */
+  noteExpiry(expiresAt) {
+    if (!expiresAt) return false;
+    if (this.nextSweepAt !== null && this.nextSweepAt <= expiresAt) return false;
+    this.nextSweepAt = expiresAt;
+    return true;
+  }
+
+  /**
+   * 记录一条定时消息的投递时间；返回 true 表示最早的投递时间提前了，需要重设 alarm
+   */
+  noteDelivery(deliverAt) {
+    if (!deliverAt) return false;
+    if (this.nextDeliveryAt !== null && this.nextDeliveryAt <= deliverAt) return false;
+    this.nextDeliveryAt = deliverAt;
+    return true;
+  }
+
+  async sweepExpired(now) {
+    this.nextSweepAt = null;
+    for (const prefix of [RESULT_PREFIX, IDEM_PREFIX]) {
+      const records = await this.state.storage.list({ prefix });
+      for (const [key, record] of records.entries()) {
+        if (record.expiresAt && record.expiresAt <= now) {
+          await this.state.storage.delete(key);
+        } else {
+          this.noteExpiry(record.expiresAt);
+        }
+      }
+    }
+  }
+
+  resolvePending(messageId, value) {
+    const pending = this.pendingResults.get(messageId);
+    if (pending) {
+      clearTimeout(pending.timeoutId);
+      pending.resolve(value);
+      this.pendingResults.delete(messageId);
+    }
+  }
+
+  rejectPending(messageId, err) {
+    const pending = this.pendingResults.get(messageId);
+    if (pending) {
+      clearTimeout(pending.timeoutId);
+      pending.reject(err);
+      this.pendingResults.delete(messageId);
+    }
+  }
+
+  /**
+   * 把调用方的超时截止时间顺延到 deadline（只会往后推，不会提前）
+   */
+  extendTimeout(messageId, deadline) {
+    const pending = this.pendingResults.get(messageId);
+    if (!pending || deadline <= pending.deadline) return;
+
+    clearTimeout(pending.timeoutId);
+    pending.deadline = deadline;
+    pending.timeoutId = setTimeout(() => {
+      this.rejectPending(messageId, routerError("Processing timeout", "TIMEOUT", 504));
+    }, Math.max(0, deadline - Date.now()));
+  }
+
   /**
    * 可选：把 actor 的简要状态存储到 Durable Storage
    */
@@ -361,6 +1578,7 @@ export class GoldfishRouter {
     const meta = {
       busy: actorState.busy,
       queueLength: actorState.queue.length,
+      pausedUntil: actorState.pausedUntil,
       actorType: actorState.actorType,
       actorId: actorState.actorId,
       updatedAt: Date.now()
@@ -368,3 +1586,190 @@ export class GoldfishRouter {
     await this.state.storage.put(`meta:${actorState.actorKey}`, meta);
   }
 }
+
+/**
+ * redirectTo 支持两种写法：
+ *  - "actorId"                         同一 actorType 下的另一个 actor
+ *  - { actorType?, actorId }           可以指定其他 actorType
+ */
+function parseRedirectTarget(redirectTo, defaultActorType) {
+  if (typeof redirectTo === "string") {
+    return { actorType: defaultActorType, actorId: redirectTo };
+  }
+  return {
+    actorType: redirectTo.actorType || defaultActorType,
+    actorId: redirectTo.actorId
+  };
+}
+
+/**
+ * nextPolicy = { mode: "wait", untilMs | delayMs } → 恢复时间戳；
+ * 没有（或已过期）的截止时间返回 null
+ */
+function resolveResumeAt(nextPolicy, now) {
+  let resumeAt = null;
+  if (Number.isFinite(nextPolicy.untilMs)) {
+    resumeAt = nextPolicy.untilMs;
+  } else if (Number.isFinite(nextPolicy.delayMs)) {
+    resumeAt = now + nextPolicy.delayMs;
+  }
+  return resumeAt && resumeAt > now ? resumeAt : null;
+}
+
+/**
+ * 令牌桶按经过的时间补充令牌，不超过 capacity
+ */
+function refillBucket(bucket, config, now) {
+  const elapsedSec = Math.max(0, now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(config.capacity, bucket.tokens + elapsedSec * config.refillPerSec);
+  bucket.updatedAt = now;
+}
+
+/**
+ * /status 里展示的令牌桶状态；没有桶或已关闭限流时为 null
+ */
+function bucketSnapshot(bucket, config, now) {
+  if (!bucket || !config) return null;
+  refillBucket(bucket, config, now);
+  return {
+    tokens: Math.floor(bucket.tokens * 100) / 100,
+    capacity: config.capacity,
+    refillPerSec: config.refillPerSec
+  };
+}
+
+function isEnabled(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+/**
+ * GOLDFISH_MAX_CONCURRENCY → { [actorType | "default"]: limit }。
+ * 不是正整数的值（"0"、负数、字符串等）会让 actor 永远排不上名额，记一条错误后丢掉，回落到 DEFAULT_MAX_CONCURRENCY
+ */
+function parseConcurrencyConfig(value) {
+  const parsed = parseJsonVar("GOLDFISH_MAX_CONCURRENCY", value);
+  const config = typeof parsed === "object" && parsed !== null && !Array.isArray(parsed) ? parsed : { default: parsed };
+
+  const limits = {};
+  for (const [key, limit] of Object.entries(config)) {
+    if (Number.isInteger(limit) && limit > 0) {
+      limits[key] = limit;
+    } else {
+      console.error(`Invalid GOLDFISH_MAX_CONCURRENCY for ${key}: ${JSON.stringify(limit)}, falling back to the default`);
+    }
+  }
+  return limits;
+}
+
+/**
+ * GOLDFISH_POLICIES → { [actorType]: policy }。
+ * 和 POST /router-policy 一样用 validatePolicy 检查，不合法的 actorType 整条丢掉并记一条错误
+ * （例如 "timeoutMs": "5000" 会让超时计算变成字符串拼接）
+ */
+function parseEnvPolicies(value) {
+  const parsed = parseJsonVar("GOLDFISH_POLICIES", value);
+  if (typeof parsed !== "object" || parsed === null || Array.isArray(parsed)) {
+    console.error("Invalid GOLDFISH_POLICIES: must be an object keyed by actorType");
+    return {};
+  }
+
+  const policies = {};
+  for (const [actorType, policy] of Object.entries(parsed)) {
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+      console.error(`Invalid GOLDFISH_POLICIES for ${actorType}, ignoring it:`, errors.join("; "));
+      continue;
+    }
+    policies[actorType] = policy;
+  }
+  return policies;
+}
+
+/**
+ * deliverAt（毫秒时间戳或 ISO 字符串）/ delayMs → { at }；都没传或时间已过时 at 为 null，表示立即投递
+ */
+function resolveSchedule(deliverAt, delayMs, now) {
+  if (deliverAt !== null && delayMs !== null) {
+    return { error: "Use either deliverAt or delayMs, not both" };
+  }
+
+  if (deliverAt !== null) {
+    const at = typeof deliverAt === "string" ? Date.parse(deliverAt) : deliverAt;
+    if (typeof at !== "number" || !Number.isFinite(at)) {
+      return { error: "deliverAt must be a timestamp in milliseconds or an ISO date string" };
+    }
+    return { at: at > now ? at : null };
+  }
+
+  if (delayMs !== null) {
+    if (!Number.isInteger(delayMs) || delayMs < 0) {
+      return { error: "delayMs must be a non-negative integer" };
+    }
+    return { at: delayMs > 0 ? now + delayMs : null };
+  }
+
+  return { at: null };
+}
+
+/**
+ * 带 code 和 HTTP 状态码的错误，最终由 handleRoute 原样返回给调用方
+ */
+function routerError(message, code, status) {
+  const err = new Error(message);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+/**
+ * 把 Actor DO /invoke 的非 2xx 响应转成错误：
+ *  - handler 抛错：body 是 { error: { code, message, actorKey } }，沿用它的 code 和状态码
+ *  - 其他（DO 不可用等）：ACTOR_UNAVAILABLE / 502
+ * actorStatus 保留 DO 的原始状态码，供 retry.retryOn 判断
+ */
+async function readInvokeError(resp) {
+  const body = await resp.json().catch(() => null);
+  const envelope = body?.error;
+
+  let err;
+  if (envelope && envelope.code) {
+    err = routerError(envelope.message, envelope.code, resp.status);
+    err.actorKey = envelope.actorKey;
+    err.errors = envelope.errors;
+    err.handlerError = true;
+  } else {
+    err = routerError(`Actor DO error: ${resp.status}`, "ACTOR_UNAVAILABLE", 502);
+  }
+  err.actorStatus = resp.status;
+  return err;
+}
+
+/**
+ * 409 DEADLOCK：cycle 是等待环上的 actorKey，首尾相同
+ */
+function deadlockResponse(cycle, callChain) {
+  return jsonResponse({
+    ok: false,
+    code: "DEADLOCK",
+    error: `Deadlock detected: ${cycle.join(" -> ")}`,
+    callChain
+  }, 409);
+}
+
+/**
+ * 返回给调用方的错误 body
+ */
+function errorBody(err, messageId) {
+  const body = { ok: false, code: err.code, error: err.message };
+  if (err.actorKey) body.actorKey = err.actorKey;
+  if (err.errors) body.errors = err.errors;
+  if (messageId) body.messageId = messageId;
+  return body;
+}
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers }
+  });
+}
@@ -0,0 +1,94 @@
+// src/schema.js
+
+/**
+ * 极简的 payload schema 校验（JSON Schema 的一个小子集），Router 在入队前调用。
+ *
+ * 一个 schema 节点支持：
+ *  - type: "string" | "number" | "integer" | "boolean" | "object" | "array"
+ *  - nullable: 允许 null
+ *  - required: 作为对象属性时必须出现
+ *  - properties: { [name]: schema }（type 为 object 时）
+ *  - items: schema（type 为 array 时，逐个校验元素）
+ *  - enum, pattern, minLength, maxLength, minimum, maximum, minItems, maxItems
+ *  - check(value) → 错误信息或 null，用于跨字段规则
+ *
+ * 返回字段级错误列表 [{ field, message }]，空数组表示通过。
+ * field 形如 "questions[0].correctOption"，payload 本身为 ""。
+ */
+export function validate(schema, value, field = "") {
+  if (value === null && schema.nullable) return [];
+
+  const typeError = checkType(schema.type, value);
+  if (typeError) return [{ field, message: typeError }];
+
+  const errors = [];
+  const fail = message => errors.push({ field, message });
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${field}[${i}]`)));
+    }
+  }
+
+  if (schema.properties && value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [name, propSchema] of Object.entries(schema.properties)) {
+      const propField = field ? `${field}.${name}` : name;
+      if (value[name] === undefined) {
+        if (propSchema.required) errors.push({ field: propField, message: "is required" });
+        continue;
+      }
+      errors.push(...validate(propSchema, value[name], propField));
+    }
+  }
+
+  // 跨字段规则只在结构本身合法时再检查
+  if (errors.length === 0 && schema.check) {
+    const message = schema.check(value);
+    if (message) fail(message);
+  }
+
+  return errors;
+}
+
+function checkType(type, value) {
+  if (!type) return null;
+
+  const ok = {
+    string: typeof value === "string",
+    number: typeof value === "number" && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    boolean: typeof value === "boolean",
+    object: !!value && typeof value === "object" && !Array.isArray(value),
+    array: Array.isArray(value)
+  }[type];
+
+  if (ok === undefined) return `has unknown schema type ${type}`;
+  return ok ? null : `must be ${type === "array" || type === "object" || type === "integer" ? "an" : "a"} ${type}`;
+}
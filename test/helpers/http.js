@@ -0,0 +1,162 @@
+// Shared HTTP helpers for the end-to-end test scripts in test/.
+//
+// Every script talks to a running Worker at BASE (default: http://localhost:8787).
+// When GOLDFISH_AUTH_SECRET is set in the test environment (it must match the
+// Worker's secret), requests carry an admin token unless a script passes its own.
+//
+// This file lives in a subdirectory so run-all-tests.js does not run it as a test.
+import assert from "node:assert/strict";
+import { signToken } from "../../src/auth.js";
+
+export { assert };
+
+export const BASE = process.env.BASE_URL || "http://localhost:8787";
+export const AUTH_SECRET = process.env.GOLDFISH_AUTH_SECRET || null;
+
+// Unique per run, so scripts never collide with actors left over from an earlier run
+export const RUN_ID = Date.now().toString(36);
+
+let cachedAdminToken = null;
+
+/**
+ * Signs a token for { sub, role } with the test secret (valid for one hour)
+ */
+export async function tokenFor(role, sub) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  return signToken({ sub, role, iat: nowSec, exp: nowSec + 3600 }, AUTH_SECRET);
+}
+
+/**
+ * The admin token every request carries by default; null when auth is off
+ */
+export async function adminToken() {
+  if (!AUTH_SECRET) return null;
+  cachedAdminToken = cachedAdminToken || await tokenFor("admin", "e2e-tests");
+  return cachedAdminToken;
+}
+
+/**
+ * Sends a request and returns { status, headers, body }; body is parsed JSON,
+ * or { raw } when the response is not JSON.
+ * options.token: a token to send instead of the admin token, or false for none
+ */
+export async function request(method, path, body, options = {}) {
+  const token = options.token === undefined ? await adminToken() : options.token;
+  const headers = { ...options.headers };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const res = await fetch(`${BASE}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const text = await res.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = { raw: text };
+  }
+
+  return { status: res.status, headers: res.headers, body: json };
+}
+
+export function postJSON(path, body, options) {
+  return request("POST", path, body ?? {}, options);
+}
+
+export function getJSON(path, options) {
+  return request("GET", path, undefined, options);
+}
+
+/**
+ * POST /invoke; extra fields (mode, idempotencyKey, delayMs, ...) go next to the payload
+ */
+export function postActor(actorType, actorId, payload, extra = {}, options) {
+  return postJSON("/invoke", { actorType, actorId, payload, ...extra }, options);
+}
+
+export function getActorStatus(actorType, actorId, options) {
+  return getJSON(`/actor-status${query({ actorType, actorId })}`, options);
+}
+
+export function getRouterStatus(actorType, options) {
+  return getJSON(`/router-status${query({ actorType })}`, options);
+}
+
+/**
+ * The router's entry for one actor in /router-status, or undefined
+ */
+export async function getActorEntry(actorType, actorId) {
+  const res = await getRouterStatus(actorType);
+  assert.equal(res.status, 200, `router-status ${actorType}`);
+  return res.body.actors.find(a => a.actorKey === `${actorType}:${actorId}`);
+}
+
+/**
+ * Waits until the Router holds at least `length` messages for actorType:actorId
+ * (the one being processed counts too). Scripts call it after each send that
+ * must be queued before the next one, instead of sleeping and hoping.
+ */
+export function waitForQueueLength(actorType, actorId, length) {
+  return waitFor(async () => ((await getActorEntry(actorType, actorId))?.queueLength ?? 0) >= length, {
+    intervalMs: 20,
+    message: `${actorType}:${actorId} to hold ${length} queued message(s)`
+  });
+}
+
+export function setPolicy(actorType, policy, actorId) {
+  return postJSON("/router-policy", actorId ? { actorType, actorId, policy } : { actorType, policy });
+}
+
+export async function resetRouters(...actorTypes) {
+  for (const actorType of actorTypes) {
+    const res = await postJSON("/reset-router", { actorType });
+    assert.equal(res.status, 200, `reset-router ${actorType}`);
+  }
+}
+
+export function query(params) {
+  const parts = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+  return parts.length > 0 ? `?${parts.join("&")}` : "";
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Polls check() until it returns a truthy value, failing after timeoutMs
+ */
+export async function waitFor(check, { timeoutMs = 10000, intervalMs = 100, message = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) assert.fail(`Timed out waiting for ${message}`);
+    await sleep(intervalMs);
+  }
+}
+
+export function logStep(title) {
+  console.log("\n==================================================");
+  console.log(title);
+  console.log("==================================================");
+}
+
+/**
+ * Runs a test script's main(); a failed assertion exits the whole run with code 1
+ */
+export async function run(name, main) {
+  try {
+    await main();
+    console.log(`\n✅ ${name} passed.`);
+  } catch (err) {
+    console.error(`❌ ${name} failed:`, err);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,69 @@
+// Quiz helpers shared by the end-to-end scripts that drive teacher / room / question / student actors.
+//
+// Every call goes through /invoke as an admin (see http.js), so scripts can act for any
+// teacher or student; test-auth.js covers the per-role rules.
+import { assert, postActor, resetRouters } from "./http.js";
+
+export const QUIZ_ACTOR_TYPES = ["teacher", "room", "question", "student"];
+
+/**
+ * Sends a message and asserts it answered 200; returns the handler's result
+ */
+export async function invokeOk(actorType, actorId, payload) {
+  const res = await postActor(actorType, actorId, payload);
+  assert.equal(res.status, 200, `${actorType}.${payload.type}: ${JSON.stringify(res.body)}`);
+  return res.body.result.result;
+}
+
+/**
+ * Creates a room with the given questions and joins the students to it
+ * @param {{ teacherId: string, roomId: string, questions: object[], students?: string[], scoring?: object }} setup
+ */
+export async function setupRoom({ teacherId, roomId, questions, students = [], scoring }) {
+  await invokeOk("teacher", teacherId, { type: "createRoom", roomId, roomName: roomId });
+  await invokeOk("teacher", teacherId, { type: "createQuestions", roomId, questions });
+  if (scoring) {
+    await viaTeacher(teacherId, roomId, "setScoring", { scoring });
+  }
+  for (const studentId of students) {
+    await invokeOk("room", roomId, { type: "join", studentId, name: studentId });
+  }
+}
+
+/**
+ * Sends a teacher message that the teacher forwards to its room (startQuestion, setScoring, ...);
+ * returns the room handler's result
+ */
+export async function viaTeacher(teacherId, roomId, type, fields = {}) {
+  const result = await invokeOk("teacher", teacherId, { type, roomId, ...fields });
+  assert.equal(result.ok, true, JSON.stringify(result));
+  // the teacher passes on the room's Router response: { result: <room result>, actorKey }
+  return result.fromRoom.result;
+}
+
+export function startQuestion(teacherId, roomId) {
+  return viaTeacher(teacherId, roomId, "startQuestion");
+}
+
+/**
+ * Finishes the current question; returns the room's result (points, scores, status, ...)
+ */
+export function finishQuestion(teacherId, roomId) {
+  return viaTeacher(teacherId, roomId, "finishCurrentQuestion");
+}
+
+/**
+ * POST /invoke question.submitAnswer; `answer` goes in `option` for single-choice letters
+ * unless asAnswer is set. Returns the raw { status, body }.
+ */
+export function submitAnswer(questionId, studentId, answer, { asAnswer = typeof answer !== "string" } = {}) {
+  return postActor("question", questionId, {
+    type: "submitAnswer",
+    studentId,
+    ...(asAnswer ? { answer } : { option: answer })
+  });
+}
+
+export function resetQuiz() {
+  return resetRouters(...QUIZ_ACTOR_TYPES);
+}
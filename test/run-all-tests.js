@@ -1,12 +1,23 @@
+import { spawnSync } from "child_process";
 import fs from "fs";
 import path from "path";
 
+// Runs every test/*.js script (or only the ones named on the command line), one process each,
+// so a script that leaves work running cannot overlap with the next one
 const testDir = path.resolve("test");
-const files = fs.readdirSync(testDir).filter(f => f.endsWith(".js"));
+const self = path.basename(process.argv[1]);
+const requested = process.argv.slice(2);
+const files = requested.length > 0
+  ? requested
+  : fs.readdirSync(testDir).filter(f => f.endsWith(".js") && f !== self).sort();
 
-(async () => {
-  for (const file of files) {
-    console.log(`\n=== Running test: ${file} ===`);
-    await import(path.join(testDir, file));
+for (const file of files) {
+  console.log(`\n=== Running test: ${file} ===`);
+  const { status } = spawnSync(process.execPath, [...process.execArgv, path.join(testDir, file)], {
+    stdio: "inherit"
+  });
+  if (status !== 0) {
+    console.error(`\n❌ ${file} failed, stopping.`);
+    process.exit(status || 1);
   }
-})();
+}
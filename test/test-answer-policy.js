@@ -0,0 +1,101 @@
+// End-to-end test for per-question answer policies (answerPolicy in src/quiz/question.js).
+//
+// Flow:
+//  1. lock (default): the first answer counts, a second one is 409 ANSWER_LOCKED.
+//  2. change: answers can be replaced until the question ends; the last one counts.
+//  3. attempts: at most maxAttempts, later correct attempts lose attemptDecay per try,
+//     and one more is 409 NO_ATTEMPTS_LEFT.
+//  4. Every attempt is kept in answerHistory, and getSummary counts them.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, postActor, run } from "./helpers/http.js";
+import { finishQuestion, resetQuiz, setupRoom, startQuestion, submitAnswer } from "./helpers/quiz.js";
+
+function assertRefused(res, code) {
+  assert.equal(res.status, 409, JSON.stringify(res.body));
+  assert.equal(res.body.code, code);
+}
+
+async function accepted(questionId, studentId, option) {
+  const res = await submitAnswer(questionId, studentId, option);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.result.result;
+}
+
+async function main() {
+  const teacherId = `policy-teacher-${RUN_ID}`;
+  const roomId = `policy-room-${RUN_ID}`;
+  const qid = name => `policy-${name}-${RUN_ID}`;
+  const [s1, s2] = [`policy-s1-${RUN_ID}`, `policy-s2-${RUN_ID}`];
+  const question = (name, answerPolicy) => ({
+    questionId: qid(name), text: name, options: ["A", "B", "C"], correctOption: "B", durationMs: 60000, answerPolicy
+  });
+
+  const invalid = await postActor("teacher", teacherId, {
+    type: "createQuestions",
+    roomId,
+    questions: [question("bad", { mode: "retry" })]
+  });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.errors[0].field, "questions[0].answerPolicy.mode");
+
+  await setupRoom({
+    teacherId,
+    roomId,
+    questions: [
+      question("lock"),
+      question("change", { mode: "change" }),
+      question("attempts", { mode: "attempts", maxAttempts: 3, attemptDecay: 0.25 })
+    ],
+    students: [s1, s2]
+  });
+
+  logStep("STEP 1: lock");
+  await startQuestion(teacherId, roomId);
+  const locked = await accepted(qid("lock"), s1, "A");
+  assert.deepEqual([locked.correct, locked.attempt, locked.attemptsLeft], [false, 1, 0]);
+  assertRefused(await submitAnswer(qid("lock"), s1, "B"), "ANSWER_LOCKED");
+  const lockFinished = await finishQuestion(teacherId, roomId);
+  assert.deepEqual(lockFinished.correctStudents, [], "the locked wrong answer still counts");
+
+  logStep("STEP 2: change");
+  await startQuestion(teacherId, roomId);
+  assert.equal((await accepted(qid("change"), s1, "A")).attemptsLeft, null);
+  const changed = await accepted(qid("change"), s1, "B");
+  assert.deepEqual([changed.correct, changed.attempt], [true, 2]);
+  await accepted(qid("change"), s2, "B");
+  await accepted(qid("change"), s2, "C");
+  const changeFinished = await finishQuestion(teacherId, roomId);
+  assert.deepEqual(changeFinished.correctStudents, [s1], "the last answer counts");
+  assert.deepEqual(changeFinished.points, { [s1]: 1 });
+
+  const changeState = (await getActorStatus("question", qid("change"))).body;
+  assert.deepEqual(changeState.answerHistory[s1].map(a => [a.option, a.correct, a.attempt]), [["A", false, 1], ["B", true, 2]]);
+  assert.equal(changeState.answers[s2].option, "C");
+
+  logStep("STEP 3: attempts with decaying credit");
+  await startQuestion(teacherId, roomId);
+  assert.equal((await accepted(qid("attempts"), s1, "A")).attemptsLeft, 2);
+  assert.equal((await accepted(qid("attempts"), s1, "C")).attemptsLeft, 1);
+  const third = await accepted(qid("attempts"), s1, "B");
+  assert.deepEqual([third.correct, third.credit, third.attempt, third.attemptsLeft], [true, 0.5, 3, 0]);
+  assertRefused(await submitAnswer(qid("attempts"), s1, "B"), "NO_ATTEMPTS_LEFT");
+
+  const firstTry = await accepted(qid("attempts"), s2, "B");
+  assert.equal(firstTry.credit, undefined, "no decay on the first attempt");
+  const attemptsFinished = await finishQuestion(teacherId, roomId);
+  assert.deepEqual(attemptsFinished.points, { [s1]: 0.5, [s2]: 1 });
+
+  logStep("STEP 4: getSummary counts attempts");
+  const summary = await postActor("question", qid("attempts"), { type: "getSummary" });
+  assert.equal(summary.status, 200);
+  const result = summary.body.result.result;
+  assert.deepEqual(result.attempts, { [s1]: 3, [s2]: 1 });
+  assert.deepEqual(result.answerPolicy, { mode: "attempts", maxAttempts: 3, attemptDecay: 0.25 });
+  assert.deepEqual(result.answerHistory[s1].map(a => a.option), ["A", "C", "B"]);
+
+  logStep("STEP 5: Reset router state");
+  await resetQuiz();
+}
+
+await run("Answer policy test", main);
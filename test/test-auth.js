@@ -0,0 +1,112 @@
+// End-to-end test for token authentication and role-based authorization.
+//
+// Runs only when GOLDFISH_AUTH_SECRET is set both for the Worker and for this script;
+// npm test passes it on to the Worker it starts:
+//   GOLDFISH_AUTH_SECRET=<secret> npm test
+//
+// Flow:
+//  1. Missing, malformed, expired and wrongly signed tokens get 401 UNAUTHENTICATED;
+//     static pages stay public.
+//  2. Admin-only routes answer 403 FORBIDDEN to other roles.
+//  3. Message rules: teachers only drive their own teacher actor, students only answer
+//     as themselves, and messages without a rule are admin-only.
+//  4. Ownership inside handlers: a room refuses a teacher who did not create it.
+//  5. statusView limits what students see through /actor-status, and only admins
+//     see the callers' rate-limit buckets in /router-status.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { signToken } from "../src/auth.js";
+import {
+  AUTH_SECRET, BASE, RUN_ID, assert, getActorStatus, getJSON, logStep, postActor, postJSON, resetRouters, run, tokenFor
+} from "./helpers/http.js";
+
+function assertStatus(res, status, code) {
+  assert.equal(res.status, status, JSON.stringify(res.body));
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.code, code);
+}
+
+async function main() {
+  const teacherId = `auth-teacher-${RUN_ID}`;
+  const otherTeacherId = `auth-other-${RUN_ID}`;
+  const studentId = `auth-student-${RUN_ID}`;
+  const roomId = `auth-room-${RUN_ID}`;
+
+  const teacher = await tokenFor("teacher", teacherId);
+  const otherTeacher = await tokenFor("teacher", otherTeacherId);
+  const student = await tokenFor("student", studentId);
+
+  logStep("STEP 1: Bad tokens are 401, static pages are public");
+  const nowSec = Math.floor(Date.now() / 1000);
+  const expired = await signToken({ sub: teacherId, role: "teacher", exp: nowSec - 60 }, AUTH_SECRET);
+  const forged = await signToken({ sub: teacherId, role: "admin" }, `${AUTH_SECRET}-not`);
+  const noRole = await signToken({ sub: teacherId }, AUTH_SECRET);
+
+  for (const token of [false, "not-a-jwt", expired, forged, noRole]) {
+    assertStatus(await getJSON("/router-status?actorType=probe", { token }), 401, "UNAUTHENTICATED");
+  }
+
+  const viaQuery = await getJSON(`/router-status?actorType=probe&token=${encodeURIComponent(teacher)}`, { token: false });
+  assert.equal(viaQuery.status, 200, "?token= works where headers cannot be set");
+
+  const page = await fetch(`${BASE}/board`);
+  assert.equal(page.status, 200, "static pages need no token");
+
+  logStep("STEP 2: Admin-only routes");
+  for (const [path, body] of [
+    ["/reset-router", { actorType: "probe" }],
+    ["/restart-router", { actorType: "probe" }],
+    ["/router-policy", { actorType: "probe", policy: { queueLimit: 1 } }],
+    ["/dead-letters/purge", { actorType: "probe" }]
+  ]) {
+    assertStatus(await postJSON(path, body, { token: teacher }), 403, "FORBIDDEN");
+  }
+  assertStatus(await getJSON("/dead-letters?actorType=probe", { token: student }), 403, "FORBIDDEN");
+  assertStatus(await getJSON("/scheduled?actorType=room", { token: student }), 403, "FORBIDDEN");
+
+  logStep("STEP 3: Message-level rules");
+  const created = await postActor("teacher", teacherId, { type: "createRoom", roomId, roomName: "Auth" }, {}, { token: teacher });
+  assert.equal(created.status, 200, JSON.stringify(created.body));
+
+  assertStatus(
+    await postActor("teacher", teacherId, { type: "createRoom", roomId: `${roomId}-x` }, {}, { token: otherTeacher }),
+    403, "FORBIDDEN"
+  );
+  assertStatus(await postActor("probe", `auth-probe-${RUN_ID}`, { type: "echo" }, {}, { token: teacher }), 403, "FORBIDDEN");
+  assertStatus(
+    await postActor("room", roomId, { type: "join", studentId: "someone-else" }, {}, { token: student }),
+    403, "FORBIDDEN"
+  );
+  assertStatus(await postActor("room", roomId, { type: "finishRoom" }, {}, { token: student }), 403, "FORBIDDEN");
+
+  const joined = await postActor("room", roomId, { type: "join", studentId, name: "Ada" }, {}, { token: student });
+  assert.equal(joined.status, 200, JSON.stringify(joined.body));
+
+  const admin = await postActor("probe", `auth-probe-${RUN_ID}`, { type: "echo" });
+  assert.equal(admin.status, 200, "admins may send messages without a rule");
+
+  logStep("STEP 4: A room refuses a teacher who did not create it");
+  const notOwner = await postActor("room", roomId, { type: "finishRoom" }, {}, { token: otherTeacher });
+  assertStatus(notOwner, 403, "NOT_ROOM_OWNER");
+
+  logStep("STEP 5: statusView limits what students see");
+  assert.equal((await getActorStatus("room", roomId, { token: student })).status, 200);
+  assert.equal((await getActorStatus("student", studentId, { token: student })).status, 200);
+  assertStatus(await getActorStatus("teacher", teacherId, { token: student }), 403, "FORBIDDEN");
+  assertStatus(await getActorStatus("student", "someone-else", { token: student }), 403, "FORBIDDEN");
+  assert.equal((await getActorStatus("teacher", teacherId, { token: teacher })).status, 200);
+
+  const routerStatus = await getJSON("/router-status?actorType=probe", { token: student });
+  assert.equal(routerStatus.status, 200);
+  assert.equal(routerStatus.body.rateLimits, undefined, "other callers' buckets stay hidden");
+  assert.ok((await getJSON("/router-status?actorType=probe")).body.rateLimits, "admins see them");
+
+  logStep("STEP 6: Reset router state");
+  await resetRouters("teacher", "room", "student", "probe");
+}
+
+if (AUTH_SECRET) {
+  await run("Auth test", main);
+} else {
+  console.log("GOLDFISH_AUTH_SECRET is not set: skipping the auth test.");
+}
@@ -0,0 +1,107 @@
+// End-to-end test for POST /invoke-batch.
+//
+// Flow:
+//  1. Results come back in array order; messages to one actor run in that order,
+//     different actors run in parallel.
+//  2. A bad item (missing actorId, invalid payload, failing handler) fails only itself.
+//  3. A batch Idempotency-Key gives item i the key <key>:<i>, so a retried batch replays.
+//  4. ?async=1 and the { messages } form; oversized and malformed batches are refused.
+//  5. With auth on, each item is authorized on its own.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  AUTH_SECRET, RUN_ID, assert, getActorStatus, logStep, postJSON, resetRouters, run, tokenFor
+} from "./helpers/http.js";
+
+function item(actorId, payload, extra = {}) {
+  return { actorType: "probe", actorId, payload, ...extra };
+}
+
+function echo(actorId, value) {
+  return item(actorId, { type: "echo", value });
+}
+
+async function batch(items, options) {
+  const res = await postJSON("/invoke-batch", items, options);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.count, Array.isArray(items) ? items.length : items.messages.length);
+  res.body.results.forEach((result, index) => assert.equal(result.index, index));
+  return res.body;
+}
+
+async function main() {
+  const a = `batch-a-${RUN_ID}`;
+  const b = `batch-b-${RUN_ID}`;
+
+  logStep("STEP 1: Array order, per-actor order, parallel actors");
+  const ordered = await batch([echo(a, "a1"), echo(b, "b1"), echo(a, "a2"), echo(a, "a3"), echo(b, "b2")]);
+  assert.equal(ordered.ok, true);
+  assert.deepEqual(
+    ordered.results.map(r => [r.status, r.result.result.value, r.result.result.count]),
+    [[200, "a1", 1], [200, "b1", 1], [200, "a2", 2], [200, "a3", 3], [200, "b2", 2]]
+  );
+  const logA = (await getActorStatus("probe", a)).body.log.map(e => e.value);
+  assert.deepEqual(logA, ["a1", "a2", "a3"]);
+
+  const sleepers = [0, 1, 2].map(i => item(`batch-sleep-${i}-${RUN_ID}`, { type: "sleep", ms: 800 }));
+  const startedAt = Date.now();
+  const slept = await batch(sleepers);
+  const elapsed = Date.now() - startedAt;
+  assert.equal(slept.ok, true);
+  assert.ok(elapsed < 2000, `three actors sleeping 800ms ran in parallel (${elapsed}ms)`);
+
+  logStep("STEP 2: Failures stay with their item");
+  const mixed = await batch([
+    echo(a, "before"),
+    { actorType: "probe", payload: { type: "echo" } },
+    item(a, { type: "sleep" }),
+    item(a, { type: "fail", code: "BATCH_FAIL", status: 422 }),
+    echo(a, "after")
+  ]);
+  assert.equal(mixed.ok, false);
+  assert.deepEqual(mixed.results.map(r => r.status), [200, 400, 400, 422, 200]);
+  assert.equal(mixed.results[1].code, "INVALID_MESSAGE");
+  assert.equal(mixed.results[2].code, "INVALID_PAYLOAD");
+  assert.deepEqual(mixed.results[2].errors, [{ field: "ms", message: "is required" }]);
+  assert.equal(mixed.results[3].code, "BATCH_FAIL");
+  assert.equal(mixed.results[4].result.result.count, 5, "the failed handler rolled back, the next item ran");
+
+  logStep("STEP 3: A batch Idempotency-Key replays finished items");
+  const keyed = [echo(b, "k0"), echo(b, "k1")];
+  const headers = { "Idempotency-Key": `batch-${RUN_ID}` };
+  const first = await batch(keyed, { headers });
+  const retried = await batch(keyed, { headers });
+  assert.deepEqual(retried.results.map(r => r.idempotentReplay), [true, true]);
+  assert.deepEqual(
+    retried.results.map(r => r.result.result.count),
+    first.results.map(r => r.result.result.count)
+  );
+  assert.equal((await getActorStatus("probe", b)).body.log.length, 4, "each keyed item ran once");
+
+  logStep("STEP 4: ?async=1, { messages }, size limit and malformed bodies");
+  const queued = await postJSON("/invoke-batch?async=1", { messages: [echo(a, "async")] });
+  assert.equal(queued.status, 200);
+  assert.equal(queued.body.results[0].status, 202);
+  assert.equal(queued.body.results[0].mode, "async");
+  assert.ok(queued.body.results[0].messageId);
+
+  const tooMany = await postJSON("/invoke-batch", Array.from({ length: 501 }, (_, i) => echo(a, i)));
+  assert.equal(tooMany.status, 413);
+  assert.equal((await postJSON("/invoke-batch", { actorType: "probe" })).status, 400);
+
+  if (AUTH_SECRET) {
+    logStep("STEP 5: Items are authorized one by one");
+    const studentId = `batch-student-${RUN_ID}`;
+    const student = await tokenFor("student", studentId);
+    const perItem = await batch([
+      item(a, { type: "echo" }),
+      { actorType: "room", actorId: `batch-room-${RUN_ID}`, payload: { type: "join", studentId } }
+    ], { token: student });
+    assert.deepEqual(perItem.results.map(r => [r.status, r.code]), [[403, "FORBIDDEN"], [200, undefined]]);
+  }
+
+  logStep("STEP 6: Reset router state");
+  await resetRouters("probe", "room", "student");
+}
+
+await run("Batch test", main);
@@ -0,0 +1,66 @@
+// End-to-end test for concurrent draining under the per-Router cap.
+//
+// Flow:
+//  1. Slow messages to different probes overlap instead of running one after another.
+//  2. Two slow messages to the same probe still run strictly one after the other.
+//  3. With more busy probes than the cap (GOLDFISH_MAX_CONCURRENCY, default 8),
+//     at most `limit` drain at once and the rest wait for a free slot.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getRouterStatus, logStep, postActor, resetRouters, run, waitFor, waitForQueueLength
+} from "./helpers/http.js";
+
+const SLEEP_MS = 1000;
+
+function sleepOn(actorId, ms = SLEEP_MS) {
+  return postActor("probe", actorId, { type: "sleep", ms });
+}
+
+function spans(responses) {
+  return responses.map(res => {
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    const { startedAt, endedAt } = res.body.result.result;
+    return { startedAt, endedAt };
+  });
+}
+
+async function main() {
+  const status = await getRouterStatus("probe");
+  assert.equal(status.status, 200);
+  const { limit } = status.body.concurrency;
+  assert.ok(Number.isInteger(limit) && limit > 0, `concurrency limit ${limit}`);
+
+  logStep("STEP 1: Different actors drain concurrently");
+  const parallelIds = Array.from({ length: Math.min(3, limit) }, (_, i) => `conc-parallel-${i}-${RUN_ID}`);
+  const parallel = spans(await Promise.all(parallelIds.map(id => sleepOn(id))));
+  const latestStart = Math.max(...parallel.map(s => s.startedAt));
+  const earliestEnd = Math.min(...parallel.map(s => s.endedAt));
+  assert.ok(latestStart < earliestEnd, "all handlers were running at the same time");
+
+  logStep("STEP 2: One actor still handles one message at a time");
+  const serialId = `conc-serial-${RUN_ID}`;
+  const firstCall = sleepOn(serialId);
+  await waitForQueueLength("probe", serialId, 1);
+  const [first, second] = spans(await Promise.all([firstCall, sleepOn(serialId)]));
+  assert.ok(second.startedAt >= first.endedAt, "second message started after the first finished");
+
+  logStep(`STEP 3: The cap (${limit}) limits how many actors drain at once`);
+  const ids = Array.from({ length: limit + 2 }, (_, i) => `conc-capped-${i}-${RUN_ID}`);
+  const pending = Promise.all(ids.map(id => sleepOn(id)));
+
+  const during = await waitFor(async () => {
+    const res = await getRouterStatus("probe");
+    return res.body.concurrency.draining.length >= limit && res;
+  }, { intervalMs: 20, message: "every slot to be taken" });
+  assert.equal(during.body.concurrency.draining.length, limit, "never more than the cap");
+
+  const capped = spans(await pending);
+  const startedLate = capped.filter(s => s.startedAt >= Math.min(...capped.map(c => c.endedAt)));
+  assert.equal(startedLate.length, 2, "the two actors over the cap waited for a free slot");
+
+  logStep("STEP 4: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Concurrency test", main);
@@ -0,0 +1,111 @@
+// End-to-end test for the dead-letter store.
+//
+// Flow:
+//  1. A handler that crashes (500), a handler's own 4xx and a message dropped by "reject"
+//     are dead-lettered; a handler's INVALID_PAYLOAD is not.
+//  2. /dead-letters lists them without payloads; ?messageId= shows one with its payload;
+//     /message-status reports them as failed with deadLettered: true.
+//  3. Replay re-enqueues a dead letter under the same messageId and it can now succeed.
+//  4. Purge deletes a dead letter.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getJSON, logStep, postActor, postJSON, query, resetRouters, run, setPolicy, waitFor, waitForQueueLength
+} from "./helpers/http.js";
+
+async function listDeadLetters(actorIds) {
+  const res = await getJSON(`/dead-letters${query({ actorType: "probe" })}`);
+  assert.equal(res.status, 200);
+  return res.body.deadLetters.filter(d => actorIds.includes(d.actorKey.slice("probe:".length)));
+}
+
+function inspect(messageId) {
+  return getJSON(`/dead-letters${query({ actorType: "probe", messageId })}`);
+}
+
+async function main() {
+  const crashId = `dlq-crash-${RUN_ID}`;
+  const rejectId = `dlq-reject-${RUN_ID}`;
+  const flakyId = `dlq-flaky-${RUN_ID}`;
+  const ours = [crashId, rejectId, flakyId];
+
+  logStep("STEP 1: Failed and rejected messages are dead-lettered");
+  const crashed = await postActor("probe", crashId, { type: "fail", unexpected: true, message: "boom" });
+  assert.equal(crashed.status, 500);
+  assert.equal(crashed.body.code, "HANDLER_ERROR");
+  assert.ok(crashed.body.messageId);
+
+  const refused = await postActor("probe", crashId, { type: "fail", code: "BAD_INPUT", status: 400 });
+  assert.equal(refused.status, 400);
+
+  const invalid = await postActor("probe", crashId, { type: "fail", code: "INVALID_PAYLOAD", status: 400 });
+  assert.equal(invalid.status, 400);
+
+  const pending = [postActor("probe", rejectId, { type: "sleep", ms: 800 })];
+  await waitForQueueLength("probe", rejectId, 1);
+  pending.push(postActor("probe", rejectId, { type: "reply", nextPolicy: { mode: "reject" } }));
+  await waitForQueueLength("probe", rejectId, 2);
+  pending.push(postActor("probe", rejectId, { type: "echo", value: "rejected" }));
+  const rejected = (await Promise.all(pending))[2];
+  assert.equal(rejected.status, 409);
+
+  // one attempt only, so the flaky probe's first transient failure goes straight to the dead letters
+  await setPolicy("probe", { retry: { maxAttempts: 1 } }, flakyId);
+  const flaky = await postActor("probe", flakyId, { type: "flaky", failures: 1 });
+  assert.equal(flaky.status, 502);
+  assert.equal(flaky.body.code, "ACTOR_UNAVAILABLE");
+
+  const listed = await listDeadLetters(ours);
+  assert.equal(listed.length, 4, "the handler's INVALID_PAYLOAD is not dead-lettered");
+  assert.ok(!listed.some(d => d.messageId === invalid.body.messageId));
+
+  const byId = Object.fromEntries(listed.map(d => [d.messageId, d]));
+  assert.equal(byId[crashed.body.messageId].reason, "failed");
+  assert.equal(byId[crashed.body.messageId].code, "HANDLER_ERROR");
+  assert.equal(byId[crashed.body.messageId].status, 500);
+  assert.equal(byId[refused.body.messageId].reason, "rejected");
+  assert.equal(byId[refused.body.messageId].code, "BAD_INPUT");
+  assert.equal(byId[refused.body.messageId].status, 400);
+  assert.equal(byId[rejected.body.messageId].reason, "rejected");
+  assert.equal(byId[rejected.body.messageId].code, "REJECTED");
+  assert.ok(listed.every(d => d.payload === undefined), "the list leaves payloads out");
+
+  logStep("STEP 2: Inspect one dead letter and look it up by messageId");
+  const one = await inspect(rejected.body.messageId);
+  assert.equal(one.status, 200);
+  assert.deepEqual(one.body.deadLetter.payload, { type: "echo", value: "rejected" });
+
+  const status = await getJSON(`/message-status${query({ actorType: "probe", messageId: crashed.body.messageId })}`);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.status, "failed");
+  assert.equal(status.body.deadLettered, true);
+
+  logStep("STEP 3: Replay re-enqueues under the same messageId");
+  const replay = await postJSON("/dead-letters/replay", { actorType: "probe", messageIds: [flaky.body.messageId] });
+  assert.equal(replay.status, 200);
+  assert.deepEqual(replay.body.replayed, [{ messageId: flaky.body.messageId, actorKey: `probe:${flakyId}` }]);
+
+  const done = await waitFor(async () => {
+    const res = await getJSON(`/message-status${query({ actorType: "probe", messageId: flaky.body.messageId })}`);
+    return res.body.status === "done" && res;
+  }, { message: "the replayed message to finish" });
+  assert.equal(done.body.result.result.attempts, 2, "second call of the flaky probe succeeded");
+  assert.equal((await listDeadLetters(ours)).length, 3, "replayed dead letter left the store");
+
+  logStep("STEP 4: Purge deletes a dead letter");
+  const purge = await postJSON("/dead-letters/purge", { actorType: "probe", messageIds: [rejected.body.messageId] });
+  assert.equal(purge.status, 200);
+  assert.deepEqual(purge.body.purged, [rejected.body.messageId]);
+  assert.equal((await inspect(rejected.body.messageId)).status, 404);
+  assert.deepEqual(
+    (await listDeadLetters(ours)).map(d => d.messageId).sort(),
+    [crashed.body.messageId, refused.body.messageId].sort()
+  );
+
+  logStep("STEP 5: Reset router state");
+  await setPolicy("probe", null, flakyId);
+  await resetRouters("probe");
+  assert.deepEqual(await listDeadLetters(ours), [], "reset removes the remaining dead letters");
+}
+
+await run("Dead letter test", main);
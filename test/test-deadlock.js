@@ -0,0 +1,127 @@
+// End-to-end test for deadlock detection on synchronous actor-to-actor asks.
+//
+// Flow:
+//  1. A asks B, B asks A back: the inner ask fails at once with 409 DEADLOCK
+//     and the cycle, instead of both actors waiting until timeoutMs.
+//  2. An actor asking itself is the shortest cycle.
+//  3. With `reentrant: true` the callback runs inside the outer call instead.
+//  4. tell never waits, so it cannot deadlock.
+//  5. Two independent requests, A: call B (queued behind a busy A) and B: call A,
+//     close the cycle through the wait-for graph: one of them gets DEADLOCK.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID,
+  assert,
+  getActorStatus,
+  logStep,
+  postActor,
+  resetRouters,
+  run,
+  setPolicy,
+  waitForQueueLength
+} from "./helpers/http.js";
+
+/**
+ * The reply a probe `call` got from the actor it called
+ */
+function responseOf(res) {
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.result.result.response;
+}
+
+async function main() {
+  const a = `deadlock-a-${RUN_ID}`;
+  const b = `deadlock-b-${RUN_ID}`;
+
+  logStep("STEP 1: A -> B -> A is refused with DEADLOCK");
+  const startedAt = Date.now();
+  const cycle = await postActor("probe", a, {
+    type: "call",
+    actorId: b,
+    payload: { type: "call", actorId: a, payload: { type: "echo", value: "never" } }
+  });
+  assert.ok(Date.now() - startedAt < 5000, "no one waited for a timeout");
+
+  const fromB = responseOf(cycle);
+  assert.equal(fromB.ok, true, "B itself answered normally");
+  const innerAsk = fromB.result.result.response;
+  assert.equal(innerAsk.ok, false);
+  assert.equal(innerAsk.code, "DEADLOCK");
+  assert.equal(innerAsk.status, 409);
+  assert.match(innerAsk.error, new RegExp(`probe:${a} -> probe:${b} -> probe:${a}`));
+
+  const memory = await getActorStatus("probe", a);
+  assert.ok(!memory.body.log.some(e => e.value === "never"), "the cyclic message was never queued");
+
+  logStep("STEP 2: Asking yourself is a deadlock too");
+  const self = responseOf(await postActor("probe", a, {
+    type: "call",
+    actorId: a,
+    payload: { type: "echo", value: "self" }
+  }));
+  assert.equal(self.code, "DEADLOCK");
+
+  logStep("STEP 3: A reentrant actor takes the callback inside the outer call");
+  const reentrantId = `deadlock-reentrant-${RUN_ID}`;
+  assert.equal((await setPolicy("probe", { reentrant: true }, reentrantId)).status, 200);
+
+  const reentered = responseOf(await postActor("probe", reentrantId, {
+    type: "call",
+    actorId: b,
+    payload: { type: "call", actorId: reentrantId, payload: { type: "echo", value: "inner" } }
+  }));
+  const callback = reentered.result.result.response;
+  assert.equal(callback.ok, true);
+  assert.equal(callback.result.reentrant, true);
+  assert.equal(callback.result.result.value, "inner");
+
+  const reentrantLog = (await getActorStatus("probe", reentrantId)).body.log;
+  assert.deepEqual(reentrantLog.map(e => e.type), ["call", "echo", "called"], "inner call ran between the outer steps");
+  assert.equal((await setPolicy("probe", null, reentrantId)).status, 200);
+
+  logStep("STEP 4: tell back to the caller does not deadlock");
+  const told = responseOf(await postActor("probe", b, {
+    type: "call",
+    actorId: a,
+    payload: { type: "call", mode: "tell", actorId: b, payload: { type: "echo", value: "told" } }
+  }));
+  assert.equal(told.ok, true);
+  assert.equal(told.result.result.response.mode, "tell");
+
+  logStep("STEP 5: A -> B and B -> A from two independent requests");
+  const c = `deadlock-c-${RUN_ID}`;
+  const d = `deadlock-d-${RUN_ID}`;
+  const busy = postActor("probe", c, { type: "sleep", ms: 800 });
+  const cCallsD = postActor("probe", c, {
+    type: "call",
+    actorId: d,
+    payload: { type: "echo", value: "c-to-d" }
+  });
+  await waitForQueueLength("probe", c, 2);
+
+  // D starts at once and waits on the busy C; C then asks D while D is waiting on it
+  const crossedAt = Date.now();
+  const dCallsC = await postActor("probe", d, {
+    type: "call",
+    actorId: c,
+    payload: { type: "echo", value: "d-to-c" }
+  });
+  assert.equal((await busy).status, 200);
+  const fromC = responseOf(await cCallsD);
+  assert.ok(Date.now() - crossedAt < 5000, "no one waited for a timeout");
+
+  assert.equal(fromC.ok, false);
+  assert.equal(fromC.code, "DEADLOCK");
+  assert.equal(fromC.status, 409);
+  assert.match(fromC.error, new RegExp(`probe:${c} -> probe:${d} -> probe:${c}`));
+
+  const fromD = responseOf(dCallsC);
+  assert.equal(fromD.ok, true, "D's call went through once C was free");
+  assert.equal(fromD.result.result.value, "d-to-c");
+
+  logStep("STEP 6: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Deadlock test", main);
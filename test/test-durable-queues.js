@@ -0,0 +1,86 @@
+// End-to-end test for Router recovery after a restart (POST /restart-router).
+//
+// Flow:
+//  1. A "wait" pause survives the restart: it is rebuilt from meta:* and still holds the queue.
+//  2. Messages queued behind a busy probe when the Router restarts:
+//     - with GOLDFISH_DURABLE_QUEUES on the Worker, they are replayed in order
+//       (the one that was running is delivered again: at-least-once);
+//     - without it, they are lost.
+//     Either way their waiting callers get an error, since the Router they waited on is gone.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787), with GOLDFISH_ENABLE_PROBE on.
+// npm test runs it twice: with the default vars, then with `--var GOLDFISH_DURABLE_QUEUES:true` to cover replay.
+import {
+  RUN_ID, assert, getActorEntry, getActorStatus, logStep, postActor, postJSON, resetRouters, run, sleep, waitFor, waitForQueueLength
+} from "./helpers/http.js";
+
+async function restartRouter(actorType) {
+  const res = await postJSON("/restart-router", { actorType });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  assert.equal(res.body.action, "admin-restart");
+  // give the aborted Router a moment to go away before the next request reaches a fresh instance
+  await sleep(300);
+  return res.body;
+}
+
+async function main() {
+  logStep("STEP 1: A wait pause is restored after a restart");
+  const pausedId = `durable-paused-${RUN_ID}`;
+  await postActor("probe", pausedId, { type: "reply", nextPolicy: { mode: "wait", delayMs: 3000 } });
+  const before = await getActorEntry("probe", pausedId);
+  assert.equal(before.paused, true);
+
+  await restartRouter("probe");
+
+  const after = await getActorEntry("probe", pausedId);
+  assert.equal(after.paused, true, "pause rebuilt from storage");
+  assert.equal(after.pausedUntil, before.pausedUntil);
+
+  const echoed = await postActor("probe", pausedId, { type: "echo", value: "after-restart" });
+  assert.equal(echoed.status, 200);
+  const log = (await getActorStatus("probe", pausedId)).body.log;
+  assert.ok(log.at(-1).at >= before.pausedUntil, "echo still waited for the restored pause");
+
+  logStep("STEP 2: Queued messages across a restart");
+  const queuedId = `durable-queued-${RUN_ID}`;
+  const pending = [postActor("probe", queuedId, { type: "sleep", ms: 1500 })];
+  for (const value of ["q1", "q2"]) {
+    await waitForQueueLength("probe", queuedId, pending.length);
+    pending.push(postActor("probe", queuedId, { type: "echo", value }));
+  }
+  await waitForQueueLength("probe", queuedId, pending.length);
+
+  const restarted = await restartRouter("probe");
+  assert.equal(restarted.queued, 3, "running message plus two queued");
+
+  for (const res of await Promise.all(pending)) {
+    assert.ok(res.status >= 500, `caller of the restarted Router gets an error (${res.status})`);
+  }
+
+  if (restarted.durable) {
+    console.log("Durable queues are on: expecting a replay");
+    const replayed = await waitFor(async () => {
+      // the Router only comes back (and replays) when a request reaches it
+      await getActorEntry("probe", queuedId);
+      const status = await getActorStatus("probe", queuedId);
+      const values = status.body.log.map(e => e.value);
+      return values.includes("q2") && values;
+    }, { message: "replayed messages" });
+
+    // the sleep that was running is delivered again, then the queue in its original order
+    assert.deepEqual(replayed, [1500, 1500, "q1", "q2"]);
+  } else {
+    console.log("Durable queues are off: expecting the queue to be lost");
+    await sleep(2500);
+    const values = (await getActorStatus("probe", queuedId)).body.log.map(e => e.value);
+    assert.deepEqual(values, [1500], "only the message already at the actor ran");
+  }
+
+  const entry = await getActorEntry("probe", queuedId);
+  assert.ok(!entry || entry.queueLength === 0, "nothing is left in the queue");
+
+  logStep("STEP 3: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Durable queue test", main);
@@ -0,0 +1,147 @@
+// End-to-end test for a room's domain events over Server-Sent Events (GET /events).
+//
+// Flow:
+//  1. A new stream starts with `retry: 3000` and replays the room's events so far.
+//  2. Events emitted while connected arrive live, with increasing ids;
+//     answerSubmitted carries only the answer count.
+//  3. Reconnecting with Last-Event-ID (or ?lastEventId=) replays only what was missed.
+//  4. An id from before a reset replays everything; a missing roomId is 400.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { BASE, RUN_ID, adminToken, assert, getJSON, logStep, query, run } from "./helpers/http.js";
+import { finishQuestion, resetQuiz, setupRoom, startQuestion, submitAnswer } from "./helpers/quiz.js";
+
+/**
+ * Opens the room's event stream; next() resolves with the next parsed block
+ * ({ id, event, data } or { retry }), close() aborts the request
+ */
+async function openEvents(roomId, { lastEventId, params = {} } = {}) {
+  const controller = new AbortController();
+  const token = await adminToken();
+  const headers = {};
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (lastEventId !== undefined) headers["Last-Event-ID"] = String(lastEventId);
+
+  const res = await fetch(`${BASE}/events${query({ roomId, ...params })}`, { headers, signal: controller.signal });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("Content-Type"), "text/event-stream");
+
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  let pending = null;
+
+  async function next(timeoutMs = 5000) {
+    for (;;) {
+      const end = buffer.indexOf("\n\n");
+      if (end >= 0) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        // heartbeats are comments
+        if (block.startsWith(":")) continue;
+        return parseBlock(block);
+      }
+
+      pending = pending || reader.read();
+      let timer;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(resolve, timeoutMs, "timeout");
+      });
+      const chunk = await Promise.race([pending, timeout]);
+      clearTimeout(timer);
+      if (chunk === "timeout") return null;
+      pending = null;
+      if (chunk.done) assert.fail("The event stream ended");
+      buffer += chunk.value;
+    }
+  }
+
+  return { next, close: () => controller.abort() };
+}
+
+function parseBlock(block) {
+  const fields = Object.fromEntries(block.split("\n").map(line => {
+    const colon = line.indexOf(":");
+    return [line.slice(0, colon), line.slice(colon + 1).trimStart()];
+  }));
+  if (fields.retry) return { retry: Number(fields.retry) };
+  return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+}
+
+async function nextEvents(stream, count) {
+  const events = [];
+  while (events.length < count) {
+    const event = await stream.next();
+    assert.ok(event, `Timed out after ${events.length} of ${count} events`);
+    events.push(event);
+  }
+  return events;
+}
+
+async function main() {
+  const teacherId = `sse-teacher-${RUN_ID}`;
+  const roomId = `sse-room-${RUN_ID}`;
+  const questionId = `sse-q-${RUN_ID}`;
+
+  await setupRoom({
+    teacherId,
+    roomId,
+    questions: [{ questionId, text: "1 + 1 = ?", options: ["1", "2"], correctOption: "B", durationMs: 60000 }],
+    students: [`sse-s1-${RUN_ID}`, `sse-s2-${RUN_ID}`]
+  });
+
+  logStep("STEP 1: retry hint, then the events so far");
+  const stream = await openEvents(roomId);
+  assert.deepEqual(await stream.next(), { retry: 3000 });
+
+  const joined = await nextEvents(stream, 2);
+  assert.deepEqual(joined.map(e => [e.id, e.event]), [[1, "studentJoined"], [2, "studentJoined"]]);
+  assert.equal(joined[1].data.studentId, `sse-s2-${RUN_ID}`);
+  assert.equal(joined[1].data.studentCount, 2);
+  assert.equal(typeof joined[1].data.at, "number");
+
+  logStep("STEP 2: Live events");
+  await startQuestion(teacherId, roomId);
+  const [started] = await nextEvents(stream, 1);
+  assert.equal(started.id, 3);
+  assert.equal(started.event, "questionStarted");
+  assert.equal(started.data.questionId, questionId);
+  assert.equal(started.data.durationMs, 60000);
+
+  assert.equal((await submitAnswer(questionId, `sse-s1-${RUN_ID}`, "B")).status, 200);
+  const [submitted] = await nextEvents(stream, 1);
+  assert.equal(submitted.id, 4);
+  assert.equal(submitted.event, "answerSubmitted");
+  assert.deepEqual(Object.keys(submitted.data).sort(), ["answerCount", "at", "questionId"]);
+  assert.equal(submitted.data.answerCount, 1);
+  stream.close();
+
+  logStep("STEP 3: Resume after Last-Event-ID / ?lastEventId=");
+  await finishQuestion(teacherId, roomId);
+
+  const resumed = await openEvents(roomId, { lastEventId: 4 });
+  assert.deepEqual(await resumed.next(), { retry: 3000 });
+  const missed = await nextEvents(resumed, 2);
+  assert.deepEqual(missed.map(e => [e.id, e.event]), [[5, "questionFinished"], [6, "roomFinished"]]);
+  assert.deepEqual(missed[0].data.correctStudents, [`sse-s1-${RUN_ID}`]);
+  assert.equal(missed[0].data.reason, "teacher");
+  assert.equal(await resumed.next(500), null, "nothing else was missed");
+  resumed.close();
+
+  const viaQuery = await openEvents(roomId, { params: { lastEventId: 5 } });
+  assert.deepEqual(await viaQuery.next(), { retry: 3000 });
+  assert.equal((await nextEvents(viaQuery, 1))[0].id, 6);
+  viaQuery.close();
+
+  logStep("STEP 4: Unknown ids replay everything; roomId is required");
+  const stale = await openEvents(roomId, { lastEventId: 99 });
+  assert.deepEqual(await stale.next(), { retry: 3000 });
+  assert.equal((await nextEvents(stale, 1))[0].id, 1);
+  stale.close();
+
+  assert.equal((await getJSON("/events")).status, 400);
+
+  logStep("STEP 5: Reset router state");
+  await resetQuiz();
+}
+
+await run("Events test", main);
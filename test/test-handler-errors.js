@@ -0,0 +1,79 @@
+// End-to-end test for structured handler errors and memory rollback.
+//
+// Flow:
+//  1. An ActorError reaches the caller with its own status and code; other
+//     exceptions become 500 HANDLER_ERROR. Neither crashes the actor.
+//  2. Memory changes made before the throw are rolled back.
+//  3. Re-entrant calls (policy.reentrant) share one memory object with the outer call:
+//     - a failing inner call rolls back only its own changes;
+//     - a failing outer call also rolls back what the inner call stored.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, postActor, resetRouters, run, setPolicy } from "./helpers/http.js";
+
+async function logTypes(actorId) {
+  return ((await getActorStatus("probe", actorId)).body.log || []).map(e => e.type);
+}
+
+async function main() {
+  const actorId = `errors-${RUN_ID}`;
+
+  logStep("STEP 1: Handler errors keep their status and code");
+  await postActor("probe", actorId, { type: "echo", value: "kept" });
+
+  const known = await postActor("probe", actorId, {
+    type: "fail", code: "SEAT_TAKEN", status: 409, message: "Seat already taken"
+  });
+  assert.equal(known.status, 409);
+  assert.deepEqual(
+    { ok: known.body.ok, code: known.body.code, error: known.body.error, actorKey: known.body.actorKey },
+    { ok: false, code: "SEAT_TAKEN", error: "Seat already taken", actorKey: `probe:${actorId}` }
+  );
+
+  const unexpected = await postActor("probe", actorId, { type: "fail", unexpected: true, message: "kaput" });
+  assert.equal(unexpected.status, 500);
+  assert.equal(unexpected.body.code, "HANDLER_ERROR");
+  assert.equal(unexpected.body.error, "kaput");
+
+  const after = await postActor("probe", actorId, { type: "echo", value: "still alive" });
+  assert.equal(after.status, 200, "the actor keeps serving after errors");
+
+  logStep("STEP 2: Memory changes of a failed call are rolled back");
+  assert.deepEqual(await logTypes(actorId), ["echo", "echo"], "no log entry from the failed calls");
+
+  logStep("STEP 3: A failing re-entrant call only rolls back its own changes");
+  const outerId = `errors-outer-${RUN_ID}`;
+  const middleId = `errors-middle-${RUN_ID}`;
+  await setPolicy("probe", { reentrant: true }, outerId);
+
+  const survived = await postActor("probe", outerId, {
+    type: "call",
+    actorId: middleId,
+    payload: { type: "call", actorId: outerId, payload: { type: "fail", code: "INNER_FAILED", status: 422 } }
+  });
+  assert.equal(survived.status, 200);
+  const inner = survived.body.result.result.response.result.result.response;
+  assert.equal(inner.ok, false);
+  assert.equal(inner.code, "INNER_FAILED");
+  assert.deepEqual(await logTypes(outerId), ["call", "called"], "outer changes before and after the inner call are kept");
+
+  logStep("STEP 4: A failing outer call also undoes what the re-entrant call stored");
+  const failed = await postActor("probe", outerId, {
+    type: "call",
+    actorId: middleId,
+    payload: { type: "call", actorId: outerId, payload: { type: "echo", value: "inner" } },
+    failAfter: true
+  });
+  assert.equal(failed.status, 500);
+  assert.equal(failed.body.code, "PROBE_FAILED");
+  assert.deepEqual(await logTypes(outerId), ["call", "called"], "back to the state before the failed call");
+
+  const next = await postActor("probe", outerId, { type: "echo", value: "next" });
+  assert.equal(next.body.result.result.count, 3, "the next message builds on the rolled-back memory");
+
+  logStep("STEP 5: Reset router state");
+  await setPolicy("probe", null, outerId);
+  await resetRouters("probe");
+}
+
+await run("Handler error test", main);
@@ -0,0 +1,111 @@
+// End-to-end test for idempotency keys on /invoke and on actor-to-actor messages.
+//
+// Flow:
+//  1. A repeated key (body field or Idempotency-Key header) replays the first response.
+//  2. A duplicate sent while the first attempt is running waits for it and shares its result.
+//  3. A failed attempt releases the key, so the retry runs again.
+//  4. tell / async replays return the original 202 and messageId; keys are scoped per actor.
+//  5. ctx.ask inside a retried keyed message derives a key, so the target runs once.
+//  6. After a Router restart an unfinished key answers 409 IDEMPOTENCY_IN_PROGRESS.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getActorStatus, logStep, postActor, postJSON, resetRouters, run, sleep, waitForQueueLength
+} from "./helpers/http.js";
+
+function keyed(actorId, payload, idempotencyKey, extra = {}) {
+  return postActor("probe", actorId, payload, { idempotencyKey, ...extra });
+}
+
+async function logOf(actorId) {
+  return (await getActorStatus("probe", actorId)).body.log || [];
+}
+
+async function main() {
+  const actorId = `idem-${RUN_ID}`;
+
+  logStep("STEP 1: A repeated key replays the first response");
+  const first = await keyed(actorId, { type: "echo", value: "once" }, "k-echo");
+  assert.equal(first.status, 200);
+  assert.equal(first.body.result.result.count, 1);
+  assert.equal(first.body.idempotentReplay, undefined);
+
+  const again = await keyed(actorId, { type: "echo", value: "once" }, "k-echo");
+  assert.equal(again.status, 200);
+  assert.equal(again.body.idempotentReplay, true);
+  assert.deepEqual(again.body.result, first.body.result);
+
+  const viaHeader = await postActor("probe", actorId, { type: "echo", value: "once" }, {}, {
+    headers: { "Idempotency-Key": "k-echo" }
+  });
+  assert.equal(viaHeader.body.idempotentReplay, true, "header and body keys are the same key");
+  assert.equal((await logOf(actorId)).length, 1, "handler ran once");
+
+  logStep("STEP 2: A duplicate waits for the running attempt");
+  const runningCall = keyed(actorId, { type: "sleep", ms: 800 }, "k-sleep");
+  await waitForQueueLength("probe", actorId, 1);
+  const [running, duplicate] = await Promise.all([
+    runningCall,
+    keyed(actorId, { type: "sleep", ms: 800 }, "k-sleep")
+  ]);
+  assert.equal(running.status, 200);
+  assert.equal(duplicate.status, 200);
+  assert.equal(duplicate.body.idempotentReplay, true);
+  assert.equal(duplicate.body.result.result.startedAt, running.body.result.result.startedAt);
+  assert.equal((await logOf(actorId)).filter(e => e.type === "sleep").length, 1);
+
+  logStep("STEP 3: A failed attempt releases the key");
+  for (let i = 0; i < 2; i += 1) {
+    const failed = await keyed(actorId, { type: "fail", code: "PROBE_BROKEN", status: 422 }, "k-fail");
+    assert.equal(failed.status, 422);
+    assert.equal(failed.body.code, "PROBE_BROKEN");
+    assert.equal(failed.body.idempotentReplay, undefined, "not a replay");
+  }
+
+  logStep("STEP 4: tell replays its 202; keys are per actor");
+  const told = await keyed(actorId, { type: "echo", value: "told" }, "k-tell", { mode: "tell" });
+  const toldAgain = await keyed(actorId, { type: "echo", value: "told" }, "k-tell", { mode: "tell" });
+  assert.equal(told.status, 202);
+  assert.equal(toldAgain.status, 202);
+  assert.equal(toldAgain.body.idempotentReplay, true);
+  assert.equal(toldAgain.body.messageId, told.body.messageId);
+
+  const otherActor = await keyed(`idem-other-${RUN_ID}`, { type: "echo", value: "once" }, "k-echo");
+  assert.equal(otherActor.status, 200);
+  assert.equal(otherActor.body.idempotentReplay, undefined, "same key on another actor is a new message");
+
+  logStep("STEP 5: Asks made by a retried message are not applied twice");
+  const callerId = `idem-caller-${RUN_ID}`;
+  const targetId = `idem-target-${RUN_ID}`;
+  const callPayload = {
+    type: "call",
+    actorId: targetId,
+    payload: { type: "echo", value: "side-effect" },
+    failAfter: true
+  };
+  for (let i = 0; i < 2; i += 1) {
+    const res = await keyed(callerId, callPayload, "k-call");
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, "PROBE_FAILED");
+  }
+  assert.deepEqual((await logOf(targetId)).map(e => e.value), ["side-effect"], "target ran once");
+
+  logStep("STEP 6: An unfinished key after a Router restart is 409 IDEMPOTENCY_IN_PROGRESS");
+  const restartId = `idem-restart-${RUN_ID}`;
+  const lost = keyed(restartId, { type: "sleep", ms: 1500 }, "k-restart");
+  await waitForQueueLength("probe", restartId, 1);
+  assert.equal((await postJSON("/restart-router", { actorType: "probe" })).status, 200);
+  await sleep(300);
+  assert.ok((await lost).status >= 500, "original caller lost its Router");
+
+  const inProgress = await keyed(restartId, { type: "sleep", ms: 1500 }, "k-restart");
+  assert.equal(inProgress.status, 409);
+  assert.equal(inProgress.body.code, "IDEMPOTENCY_IN_PROGRESS");
+  assert.ok(inProgress.body.messageId);
+
+  logStep("STEP 7: Reset router state");
+  await sleep(1500);
+  await resetRouters("probe");
+}
+
+await run("Idempotency test", main);
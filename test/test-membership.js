@@ -0,0 +1,85 @@
+// End-to-end test for who may answer which question (submitAnswer in src/quiz/question.js).
+//
+// Flow:
+//  1. Only the room's current question takes answers: pending, finished and unknown
+//     questions are 409 QUESTION_NOT_CURRENT.
+//  2. Students who have not joined the room are 403 NOT_ROOM_MEMBER, also for the
+//     current question of another room; students joining mid-question may answer.
+//  3. With auth on, a student cannot answer for someone else.
+//  4. Registering new questions ends the room's running question.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { AUTH_SECRET, RUN_ID, assert, logStep, postActor, run, tokenFor, waitFor } from "./helpers/http.js";
+import { finishQuestion, invokeOk, resetQuiz, setupRoom, startQuestion, submitAnswer } from "./helpers/quiz.js";
+
+function assertRefused(res, status, code) {
+  assert.equal(res.status, status, JSON.stringify(res.body));
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.code, code);
+}
+
+function question(questionId) {
+  return { questionId, text: "Pick A", options: ["A", "B"], correctOption: "A", durationMs: 60000 };
+}
+
+async function main() {
+  const teacherId = `member-teacher-${RUN_ID}`;
+  const roomId = `member-room-${RUN_ID}`;
+  const otherRoomId = `member-other-room-${RUN_ID}`;
+  const [q1, q2, otherQ, replacement] = ["q1", "q2", "other", "replacement"].map(name => `member-${name}-${RUN_ID}`);
+  const [member, lateJoiner, outsider] = ["member", "late", "outsider"].map(name => `member-${name}-${RUN_ID}`);
+
+  await setupRoom({ teacherId, roomId, questions: [question(q1), question(q2)], students: [member] });
+  await setupRoom({ teacherId, roomId: otherRoomId, questions: [question(otherQ)], students: [outsider] });
+
+  logStep("STEP 1: Only the current question takes answers");
+  assertRefused(await submitAnswer(q1, member, "A"), 409, "QUESTION_NOT_CURRENT");
+
+  await startQuestion(teacherId, roomId);
+  assert.equal((await submitAnswer(q1, member, "A")).status, 200);
+  assertRefused(await submitAnswer(q2, member, "A"), 409, "QUESTION_NOT_CURRENT");
+  assertRefused(await submitAnswer(`member-unknown-${RUN_ID}`, member, "A"), 409, "QUESTION_NOT_CURRENT");
+
+  logStep("STEP 2: Only room members may answer");
+  assertRefused(await submitAnswer(q1, outsider, "A"), 403, "NOT_ROOM_MEMBER");
+
+  await invokeOk("room", roomId, { type: "join", studentId: lateJoiner });
+  // the room passes the new roster on with a tell, so it may land just after the join returns
+  const late = await waitFor(async () => {
+    const res = await submitAnswer(q1, lateJoiner, "B");
+    return res.status !== 403 && res;
+  }, { message: "the late joiner to be on the roster" });
+  assert.equal(late.status, 200, JSON.stringify(late.body));
+
+  await startQuestion(teacherId, otherRoomId);
+  assertRefused(await submitAnswer(otherQ, member, "A"), 403, "NOT_ROOM_MEMBER");
+  assert.equal((await submitAnswer(otherQ, outsider, "A")).status, 200);
+
+  const finished = await finishQuestion(teacherId, roomId);
+  assert.deepEqual(finished.correctStudents, [member]);
+  assertRefused(await submitAnswer(q1, member, "A"), 409, "QUESTION_NOT_CURRENT");
+
+  if (AUTH_SECRET) {
+    logStep("STEP 3: Students answer only as themselves");
+    await startQuestion(teacherId, roomId);
+    const token = await tokenFor("student", lateJoiner);
+    const answerAs = studentId => postActor("question", q2, { type: "submitAnswer", studentId, option: "A" }, {}, { token });
+    assertRefused(await answerAs(member), 403, "FORBIDDEN");
+    assert.equal((await answerAs(lateJoiner)).status, 200);
+  }
+
+  logStep("STEP 4: New questions end the running one");
+  const replaced = await invokeOk("teacher", teacherId, {
+    type: "createQuestions",
+    roomId: otherRoomId,
+    questions: [question(replacement)]
+  });
+  assert.equal(replaced.ok, true, JSON.stringify(replaced));
+  assertRefused(await submitAnswer(otherQ, outsider, "B"), 409, "QUESTION_NOT_CURRENT");
+  assertRefused(await submitAnswer(replacement, outsider, "A"), 409, "QUESTION_NOT_CURRENT");
+
+  logStep("STEP 5: Reset router state");
+  await resetQuiz();
+}
+
+await run("Membership test", main);
@@ -0,0 +1,81 @@
+// End-to-end test for async invocations and /message-status.
+//
+// Flow:
+//  1. POST /invoke?async=1 answers 202 with a messageId; /message-status follows it
+//     from queued / running to done with the handler's result.
+//  2. A failed async message reports failed with the error code.
+//  3. A synchronous call that times out (504) can still be looked up and finishes as done.
+//  4. Unknown ids give 404, a missing id 400.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getJSON, logStep, postActor, postJSON, query, resetRouters, run, setPolicy, waitFor
+} from "./helpers/http.js";
+
+function invokeAsync(actorId, payload) {
+  return postJSON("/invoke?async=1", { actorType: "probe", actorId, payload });
+}
+
+function messageStatus(messageId) {
+  return getJSON(`/message-status${query({ actorType: "probe", messageId })}`);
+}
+
+function waitForStatus(messageId, status) {
+  return waitFor(async () => {
+    const res = await messageStatus(messageId);
+    return res.body.status === status && res;
+  }, { message: `message ${messageId} to be ${status}` });
+}
+
+async function main() {
+  const actorId = `status-${RUN_ID}`;
+
+  logStep("STEP 1: async invoke is tracked until done");
+  const first = await invokeAsync(actorId, { type: "sleep", ms: 1000 });
+  const second = await invokeAsync(actorId, { type: "echo", value: "later" });
+  for (const res of [first, second]) {
+    assert.equal(res.status, 202);
+    assert.equal(res.body.mode, "async");
+    assert.ok(res.body.messageId);
+  }
+
+  const running = await waitForStatus(first.body.messageId, "running");
+  assert.equal(running.status, 200);
+  const queued = await messageStatus(second.body.messageId);
+  assert.equal(queued.body.status, "queued");
+
+  const done = await waitForStatus(second.body.messageId, "done");
+  assert.equal(done.body.actorKey, `probe:${actorId}`);
+  assert.equal(done.body.result.result.value, "later");
+  assert.ok(done.body.expiresAt > Date.now(), "result is kept for resultTtlMs");
+
+  logStep("STEP 2: A failed async message reports its error");
+  const failing = await invokeAsync(actorId, { type: "fail", code: "PROBE_BROKEN", status: 422, message: "nope" });
+  const failed = await waitForStatus(failing.body.messageId, "failed");
+  assert.equal(failed.body.code, "PROBE_BROKEN");
+  assert.equal(failed.body.error, "nope");
+
+  logStep("STEP 3: A timed-out call can be looked up afterwards");
+  const slowId = `status-slow-${RUN_ID}`;
+  await setPolicy("probe", { timeoutMs: 300 }, slowId);
+  const timedOut = await postActor("probe", slowId, { type: "sleep", ms: 1000 });
+  assert.equal(timedOut.status, 504);
+  assert.equal(timedOut.body.code, "TIMEOUT");
+
+  const finished = await waitForStatus(timedOut.body.messageId, "done");
+  assert.equal(finished.body.result.result.action, "sleep");
+  await setPolicy("probe", null, slowId);
+
+  logStep("STEP 4: Unknown and missing messageIds");
+  const unknown = await messageStatus(crypto.randomUUID());
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.ok, false);
+
+  const missing = await getJSON("/message-status?actorType=probe");
+  assert.equal(missing.status, 400);
+
+  logStep("STEP 5: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Message status test", main);
@@ -0,0 +1,86 @@
+// End-to-end test for per-actorType and per-actor router policies.
+//
+// Flow:
+//  1. Invalid policies are refused with 400.
+//  2. An actorType policy (POST /router-policy) caps queue length (429) and payload size (413).
+//  3. A single-actor override shortens timeoutMs (504 TIMEOUT) without touching other actors.
+//  4. /router-policy and /router-status show the layers and resolved policies;
+//     `policy: null` removes a layer again.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getActorEntry, getJSON, logStep, postActor, resetRouters, run, setPolicy, waitForQueueLength
+} from "./helpers/http.js";
+
+async function main() {
+  const fastId = `policy-fast-${RUN_ID}`;
+
+  logStep("STEP 1: Invalid policies are refused");
+  const invalid = await setPolicy("probe", { queueLimit: 0, colour: "red" });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.ok, false);
+  assert.equal(invalid.body.details.length, 2, JSON.stringify(invalid.body.details));
+
+  logStep("STEP 2: actorType policy limits queue length and payload size");
+  const typePolicy = await setPolicy("probe", { queueLimit: 2, maxPayloadBytes: 200 });
+  assert.equal(typePolicy.status, 200);
+  assert.deepEqual(typePolicy.body.policies.type, { queueLimit: 2, maxPayloadBytes: 200 });
+
+  const queueId = `policy-queue-${RUN_ID}`;
+  const running = postActor("probe", queueId, { type: "sleep", ms: 1000 });
+  await waitForQueueLength("probe", queueId, 1);
+  const waiting = postActor("probe", queueId, { type: "echo", value: "second" });
+  await waitForQueueLength("probe", queueId, 2);
+
+  const overflow = await postActor("probe", queueId, { type: "echo", value: "third" });
+  assert.equal(overflow.status, 429);
+  assert.equal(overflow.body.ok, false);
+  assert.equal((await running).status, 200);
+  assert.equal((await waiting).status, 200, "the message within the limit still ran");
+
+  const large = await postActor("probe", queueId, { type: "echo", value: "x".repeat(300) });
+  assert.equal(large.status, 413);
+  assert.equal(large.body.ok, false);
+
+  const small = await postActor("probe", queueId, { type: "echo", value: "fits" });
+  assert.equal(small.status, 200);
+
+  logStep("STEP 3: A single-actor override shortens timeoutMs");
+  const slowId = `policy-slow-${RUN_ID}`;
+  const override = await setPolicy("probe", { timeoutMs: 300 }, slowId);
+  assert.equal(override.status, 200);
+  assert.deepEqual(override.body.policies.actors[`probe:${slowId}`], { timeoutMs: 300 });
+
+  const timedOut = await postActor("probe", slowId, { type: "sleep", ms: 1000 });
+  assert.equal(timedOut.status, 504);
+  assert.equal(timedOut.body.code, "TIMEOUT");
+  assert.ok(timedOut.body.messageId, "timeout response carries the messageId");
+
+  const unaffected = await postActor("probe", fastId, { type: "sleep", ms: 600 });
+  assert.equal(unaffected.status, 200, "other actors keep the default timeout");
+
+  logStep("STEP 4: Policy layers are visible and removable");
+  const layers = await getJSON("/router-policy?actorType=probe");
+  assert.equal(layers.status, 200);
+  assert.equal(layers.body.policies.defaults.queueLimit, 100);
+  assert.equal(layers.body.policies.type.queueLimit, 2);
+
+  const slowEntry = await getActorEntry("probe", slowId);
+  assert.equal(slowEntry.policy.timeoutMs, 300);
+  assert.equal(slowEntry.policy.queueLimit, 2, "actor override sits on top of the actorType layer");
+
+  assert.equal((await setPolicy("probe", null, slowId)).status, 200);
+  const cleared = await setPolicy("probe", null);
+  assert.equal(cleared.status, 200);
+  assert.equal(cleared.body.policies.type, null);
+  assert.deepEqual(cleared.body.policies.actors, {});
+
+  const restored = await getActorEntry("probe", slowId);
+  assert.equal(restored.policy.timeoutMs, 30000);
+  assert.equal(restored.policy.queueLimit, 100);
+
+  logStep("STEP 5: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Policy test", main);
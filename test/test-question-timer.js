@@ -0,0 +1,98 @@
+// End-to-end test for question timers and auto-advance.
+//
+// Flow:
+//  1. A started question ends by itself after durationMs; the room scores it like a
+//     teacher-finished question and the student records are updated.
+//  2. An ended question refuses answers, and the teacher has nothing left to finish.
+//  3. With auto-advance on, the next question starts after pauseMs.
+//  4. A question the teacher finished early ignores its own timer.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, run, sleep, waitFor } from "./helpers/http.js";
+import { finishQuestion, resetQuiz, setupRoom, startQuestion, submitAnswer, viaTeacher } from "./helpers/quiz.js";
+
+const DURATION_MS = 1500;
+const PAUSE_MS = 1000;
+
+async function roomState(roomId) {
+  return (await getActorStatus("room", roomId)).body;
+}
+
+function waitForRoom(roomId, check, message) {
+  return waitFor(async () => {
+    const room = await roomState(roomId);
+    return check(room) && room;
+  }, { message, timeoutMs: 15000 });
+}
+
+async function main() {
+  const teacherId = `timer-teacher-${RUN_ID}`;
+  const roomId = `timer-room-${RUN_ID}`;
+  const [q1, q2] = [`timer-q1-${RUN_ID}`, `timer-q2-${RUN_ID}`];
+  const [fast, wrong] = [`timer-s1-${RUN_ID}`, `timer-s2-${RUN_ID}`];
+
+  await setupRoom({
+    teacherId,
+    roomId,
+    questions: [q1, q2].map(questionId => ({
+      questionId, text: "Pick B", options: ["A", "B"], correctOption: "B", durationMs: DURATION_MS
+    })),
+    students: [fast, wrong]
+  });
+
+  logStep("STEP 1: Auto-advance on, first question times out");
+  const autoAdvance = await viaTeacher(teacherId, roomId, "setAutoAdvance", { enabled: true, pauseMs: PAUSE_MS });
+  assert.deepEqual(autoAdvance.autoAdvance, { pauseMs: PAUSE_MS });
+
+  const started = await startQuestion(teacherId, roomId);
+  const startTime = started.fromQuestion.result.startTime;
+  assert.equal((await submitAnswer(q1, fast, "B")).status, 200);
+  assert.equal((await submitAnswer(q1, wrong, "A")).status, 200);
+
+  const timedOut = await waitForRoom(roomId, room => room.currentQuestionIndex === 1, "q1 to time out");
+  assert.ok(Date.now() >= startTime + DURATION_MS);
+  assert.deepEqual(timedOut.scores, { [fast]: 1 });
+  assert.deepEqual(timedOut.lastQuestionPoints, { [fast]: 1 });
+
+  const question = (await getActorStatus("question", q1)).body;
+  assert.equal(question.status, "ended");
+
+  const record = await waitFor(async () => {
+    const student = (await getActorStatus("student", fast)).body;
+    return student.answers.length === 1 && student;
+  }, { message: "the student record" });
+  assert.equal(record.totalScore, 1);
+  assert.equal(record.answers[0].questionId, q1);
+
+  logStep("STEP 2: The ended question is closed");
+  const late = await submitAnswer(q1, wrong, "B");
+  assert.equal(late.status, 409);
+  assert.equal(late.body.code, "QUESTION_NOT_CURRENT");
+
+  logStep("STEP 3: The next question starts after the pause");
+  const advanced = await waitForRoom(roomId, room => room.status === "in_question", "q2 to start by itself");
+  assert.equal(advanced.currentQuestionId, q2);
+  assert.ok(advanced.questionStartedAt - startTime >= DURATION_MS + PAUSE_MS, "waited out the pause");
+  assert.equal((await getActorStatus("question", q2)).body.status, "running");
+
+  logStep("STEP 4: Finishing early cancels the timer's effect");
+  assert.equal((await submitAnswer(q2, wrong, "B")).status, 200);
+  const finished = await finishQuestion(teacherId, roomId);
+  assert.equal(finished.status, "finished");
+  assert.deepEqual(finished.points, { [wrong]: 1 });
+
+  const nothingLeft = await finishQuestion(teacherId, roomId);
+  assert.ok(nothingLeft.error, "no question in progress");
+
+  await sleep(DURATION_MS);
+  const after = await roomState(roomId);
+  assert.equal(after.status, "finished");
+  assert.deepEqual(after.scores, { [fast]: 1, [wrong]: 1 }, "the late timer scored nothing");
+  assert.equal(after.nextQuestionAt, undefined, "no question left to advance to");
+  assert.deepEqual(after.ranking.map(r => r.score), [1, 1]);
+
+  logStep("STEP 5: Reset router state");
+  await resetQuiz();
+}
+
+await run("Question timer test", main);
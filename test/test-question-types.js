@@ -0,0 +1,106 @@
+// End-to-end test for the question types in src/quiz/question-types.js.
+//
+// Flow:
+//  1. Multiple choice and ordering give partial credit, scored as a share of the points
+//     (credit 0.5 → 0.5 of 1 point, credit 0.333 → 0.33).
+//  2. True/false, numeric with tolerance, and text matched by normalized answers or a pattern.
+//  3. Answers of the wrong shape for the type are 400 INVALID_PAYLOAD.
+//  4. Question definitions are checked per type, including answer patterns that could
+//     backtrack catastrophically.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, logStep, postActor, run } from "./helpers/http.js";
+import { finishQuestion, resetQuiz, setupRoom, startQuestion, submitAnswer } from "./helpers/quiz.js";
+
+function assertInvalid(res, field, message) {
+  assert.equal(res.status, 400, JSON.stringify(res.body));
+  assert.equal(res.body.code, "INVALID_PAYLOAD");
+  assert.equal(res.body.errors[0].field, field);
+  assert.match(res.body.errors[0].message, message);
+}
+
+async function main() {
+  const teacherId = `types-teacher-${RUN_ID}`;
+  const roomId = `types-room-${RUN_ID}`;
+  const qid = name => `types-${name}-${RUN_ID}`;
+  const [s1, s2, s3] = [1, 2, 3].map(i => `types-s${i}-${RUN_ID}`);
+
+  await setupRoom({
+    teacherId,
+    roomId,
+    questions: [
+      { questionId: qid("multiple"), questionType: "multiple", options: ["A", "B", "C", "D"], correctOptions: ["A", "C"] },
+      { questionId: qid("ordering"), questionType: "ordering", options: ["1st", "2nd", "3rd"], correctOrder: ["C", "A", "B"] },
+      { questionId: qid("trueFalse"), questionType: "trueFalse", correctAnswer: false },
+      { questionId: qid("numeric"), questionType: "numeric", correctAnswer: 3.14, tolerance: 0.01 },
+      { questionId: qid("text"), questionType: "text", acceptedAnswers: ["New York"], answerPattern: "nyc?" }
+    ].map(q => ({ ...q, text: q.questionType, durationMs: 60000 })),
+    students: [s1, s2, s3]
+  });
+
+  // starts the question, checks that `invalid` = [answer, message] is refused, submits the answers and finishes it
+  async function play(questionId, answers, invalid) {
+    await startQuestion(teacherId, roomId);
+    if (invalid) {
+      assertInvalid(await submitAnswer(questionId, s1, invalid[0], { asAnswer: true }), "answer", invalid[1]);
+    }
+    const results = [];
+    for (const [studentId, answer] of answers) {
+      const res = await submitAnswer(questionId, studentId, answer, { asAnswer: true });
+      assert.equal(res.status, 200, JSON.stringify(res.body));
+      results.push(res.body.result.result);
+    }
+    return { results, finished: await finishQuestion(teacherId, roomId) };
+  }
+
+  logStep("STEP 1: Multiple choice with partial credit");
+  const multiple = await play(qid("multiple"), [[s1, ["C", "A"]], [s2, ["A"]], [s3, ["A", "B"]]], ["A", /array/]);
+  assert.deepEqual(multiple.results.map(r => [r.correct, r.credit]), [[true, 1], [false, 0.5], [false, 0]]);
+  assert.deepEqual(multiple.finished.points, { [s1]: 1, [s2]: 0.5 });
+
+  logStep("STEP 2: Ordering with partial credit");
+  const ordering = await play(
+    qid("ordering"),
+    [[s1, ["C", "A", "B"]], [s2, ["C", "B", "A"]], [s3, ["A", "B", "C"]]],
+    [["A", "B"], /at least 3/]
+  );
+  assert.deepEqual(ordering.results.map(r => r.credit), [1, 0.333, 0]);
+  assert.deepEqual(ordering.finished.points, { [s1]: 1, [s2]: 0.33 });
+
+  logStep("STEP 3: True / false");
+  const trueFalse = await play(qid("trueFalse"), [[s1, false], [s2, true]], ["false", /true or false/]);
+  assert.deepEqual(trueFalse.results.map(r => r.correct), [true, false]);
+  assert.deepEqual(trueFalse.finished.points, { [s1]: 1 });
+
+  logStep("STEP 4: Numeric with tolerance");
+  const numeric = await play(qid("numeric"), [[s1, 3.1415], [s2, 3.2], [s3, 3.13]], ["3.14", /number/]);
+  assert.deepEqual(numeric.results.map(r => r.correct), [true, false, true]);
+
+  logStep("STEP 5: Text by normalized answer or pattern");
+  const text = await play(qid("text"), [[s1, "  new   YORK "], [s2, "NYC"], [s3, "nycc"]], ["   ", /non-empty/]);
+  assert.deepEqual(text.results.map(r => r.correct), [true, true, false]);
+  assert.equal(text.finished.status, "finished");
+
+  logStep("STEP 6: Definitions are checked per type");
+  const define = question => postActor("teacher", teacherId, {
+    type: "createQuestions",
+    roomId,
+    questions: [{ questionId: qid("bad"), text: "bad", ...question }]
+  });
+  assertInvalid(await define({ questionType: "multiple", options: ["A", "B"] }), "questions[0]", /correctOptions/);
+  assertInvalid(await define({ questionType: "ordering", options: ["A", "B"], correctOrder: ["A"] }), "questions[0]", /correctOrder/);
+  assertInvalid(await define({ questionType: "numeric", correctAnswer: "3" }), "questions[0]", /number/);
+  assertInvalid(await define({ questionType: "text" }), "questions[0]", /acceptedAnswers or answerPattern/);
+  assertInvalid(await define({ questionType: "text", answerPattern: "(" }), "questions[0]", /not a valid regular expression/);
+
+  for (const pattern of ["(a+)+$", "(a|aa)*b", "(x+x+)+y", "(a)\\1", "a*b*c*d*", "(a+){12}", "(a|aa){30}", "(.*){8}", "(a+){2,5}"]) {
+    assertInvalid(await define({ questionType: "text", answerPattern: pattern }), "questions[0]", /answerPattern must/);
+  }
+  const safe = await define({ questionType: "text", answerPattern: "colou?r(?:ed)?|[a-z]+-[a-z]+|(ab){3}|(a+){1}" });
+  assert.equal(safe.status, 200, JSON.stringify(safe.body));
+
+  logStep("STEP 7: Reset router state");
+  await resetQuiz();
+}
+
+await run("Question types test", main);
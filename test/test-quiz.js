@@ -19,37 +19,8 @@
 //      GET  /actor-status
 //      POST /reset-router
 
-const BASE = process.env.BASE_URL || "http://localhost:8787";
-
-async function postJSON(path, body) {
-  const res = await fetch(`${BASE}${path}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body ?? {})
-  });
-
-  const text = await res.text();
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    json = { raw: text };
-  }
-
-  return { status: res.status, body: json };
-}
-
-async function getJSON(path) {
-  const res = await fetch(`${BASE}${path}`);
-  const text = await res.text();
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    json = { raw: text };
-  }
-  return { status: res.status, body: json };
-}
+// postJSON / getJSON add an admin token when GOLDFISH_AUTH_SECRET is set (see helpers/http.js)
+import { getJSON, postJSON } from "./helpers/http.js";
 
 async function postActor(actorType, actorId, payload) {
   return postJSON("/invoke", { actorType, actorId, payload });
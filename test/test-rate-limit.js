@@ -0,0 +1,79 @@
+// End-to-end test for per-actor and per-caller token buckets on /invoke.
+//
+// Flow:
+//  1. A perActor bucket lets `capacity` requests through, then answers
+//     429 RATE_LIMITED with Retry-After; other actors are not affected.
+//  2. The bucket refills at refillPerSec.
+//  3. Messages between actors are never rate limited.
+//  4. A perCaller bucket limits one client across all actors of the type.
+//  5. /router-status shows both kinds of buckets.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getActorEntry, getRouterStatus, logStep, postActor, resetRouters, run, setPolicy, sleep
+} from "./helpers/http.js";
+
+function echo(actorId, value) {
+  return postActor("probe", actorId, { type: "echo", value });
+}
+
+function assertLimited(res, scope) {
+  assert.equal(res.status, 429, JSON.stringify(res.body));
+  assert.equal(res.body.code, "RATE_LIMITED");
+  assert.equal(res.body.scope, scope);
+  assert.ok(Number(res.headers.get("Retry-After")) >= 1, "Retry-After header in seconds");
+}
+
+async function main() {
+  const limitedId = `rate-actor-${RUN_ID}`;
+  const freeId = `rate-free-${RUN_ID}`;
+
+  logStep("STEP 1: perActor bucket");
+  await setPolicy("probe", { rateLimit: { perActor: { capacity: 2, refillPerSec: 1 } } }, limitedId);
+
+  assert.equal((await echo(limitedId, 1)).status, 200);
+  assert.equal((await echo(limitedId, 2)).status, 200);
+  assertLimited(await echo(limitedId, 3), "actor");
+  assert.equal((await echo(freeId, 1)).status, 200, "another actor has its own (unlimited) policy");
+
+  const entry = await getActorEntry("probe", limitedId);
+  assert.equal(entry.rateLimit.capacity, 2);
+  assert.ok(entry.rateLimit.tokens < 1);
+
+  logStep("STEP 2: The bucket refills");
+  await sleep(1100);
+  const refilled = await echo(limitedId, 4);
+  assert.equal(refilled.status, 200);
+  assert.equal(refilled.body.result.result.count, 3, "the limited request never reached the actor");
+
+  logStep("STEP 3: Actor-to-actor messages skip the buckets");
+  assertLimited(await echo(limitedId, 5), "actor");
+  const internal = await postActor("probe", freeId, {
+    type: "call",
+    actorId: limitedId,
+    payload: { type: "echo", value: "internal" }
+  });
+  assert.equal(internal.status, 200);
+  assert.equal(internal.body.result.result.response.ok, true);
+  await setPolicy("probe", null, limitedId);
+
+  logStep("STEP 4: perCaller bucket spans all actors of the type");
+  await setPolicy("probe", { rateLimit: { perCaller: { capacity: 3, refillPerSec: 0.5 } } });
+  for (let i = 0; i < 3; i += 1) {
+    assert.equal((await echo(`rate-caller-${i}-${RUN_ID}`, i)).status, 200);
+  }
+  const limited = await echo(`rate-caller-3-${RUN_ID}`, 3);
+  assertLimited(limited, "caller");
+  assert.ok(limited.body.retryAfterMs <= 2000, "a token every two seconds");
+
+  logStep("STEP 5: router-status shows the caller buckets");
+  const status = await getRouterStatus("probe");
+  const callers = Object.values(status.body.rateLimits.callers);
+  assert.ok(callers.some(bucket => bucket.capacity === 3 && bucket.tokens < 1), JSON.stringify(status.body.rateLimits));
+
+  logStep("STEP 6: Reset router state");
+  await setPolicy("probe", null);
+  await resetRouters("probe");
+}
+
+await run("Rate limit test", main);
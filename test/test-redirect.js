@@ -0,0 +1,96 @@
+// End-to-end test for nextPolicy.redirectTo forwarding.
+//
+// Flow:
+//  1. A probe actor is kept busy while more messages queue up behind it.
+//  2. The first queued message answers { mode: "reject", redirectTo } and the
+//     rest of the queue is forwarded: to another probe, to another actorType,
+//     or dropped with 409 REJECTED when there is no redirectTo.
+//  3. A probe that redirects to itself loops until the hop limit (508 REDIRECT_LOOP).
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getActorStatus, logStep, postActor, resetRouters, run, waitForQueueLength
+} from "./helpers/http.js";
+
+/**
+ * Keeps actorId busy for busyMs, then sends each payload in order (each one
+ * queued behind the previous) and returns all responses, busy call first
+ */
+async function queueBehindBusy(actorId, payloads, busyMs = 1500) {
+  const pending = [postActor("probe", actorId, { type: "sleep", ms: busyMs })];
+  for (const payload of payloads) {
+    await waitForQueueLength("probe", actorId, pending.length);
+    pending.push(postActor("probe", actorId, payload));
+  }
+  return Promise.all(pending);
+}
+
+async function main() {
+  const source = `redirect-src-${RUN_ID}`;
+  const target = `redirect-dst-${RUN_ID}`;
+
+  logStep("STEP 1: Queued messages follow redirectTo to another probe");
+  const [busy, redirecting, first, second] = await queueBehindBusy(source, [
+    { type: "reply", value: "moving", nextPolicy: { mode: "reject", redirectTo: target } },
+    { type: "echo", value: "a" },
+    { type: "echo", value: "b" }
+  ]);
+
+  assert.equal(busy.status, 200);
+  assert.equal(redirecting.status, 200);
+  assert.equal(redirecting.body.result.result.value, "moving");
+
+  for (const [res, value] of [[first, "a"], [second, "b"]]) {
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.result.actorKey, `probe:${target}`);
+    assert.equal(res.body.result.result.actorId, target);
+    assert.equal(res.body.result.result.value, value);
+  }
+
+  const targetStatus = await getActorStatus("probe", target);
+  assert.deepEqual(targetStatus.body.log.map(e => e.value), ["a", "b"], "target handled both in order");
+
+  const sourceStatus = await getActorStatus("probe", source);
+  assert.deepEqual(sourceStatus.body.log.map(e => e.type), ["sleep", "reply"], "source never saw the echoes");
+
+  logStep("STEP 2: redirectTo { actorType, actorId } crosses to another Router");
+  const studentId = `redirect-student-${RUN_ID}`;
+  const [, , joined] = await queueBehindBusy(`redirect-cross-${RUN_ID}`, [
+    { type: "reply", nextPolicy: { mode: "reject", redirectTo: { actorType: "student", actorId: studentId } } },
+    { type: "joinRoom", roomId: `redirect-room-${RUN_ID}`, name: "Redirected" }
+  ]);
+
+  assert.equal(joined.status, 200, JSON.stringify(joined.body));
+  assert.equal(joined.body.result.actorKey, `student:${studentId}`);
+  assert.equal(joined.body.result.result.action, "joinRoom");
+  assert.equal(joined.body.result.result.name, "Redirected");
+
+  logStep("STEP 3: reject without redirectTo drops the queue with 409 REJECTED");
+  const rejectId = `redirect-reject-${RUN_ID}`;
+  const [, , rejected] = await queueBehindBusy(rejectId, [
+    { type: "reply", nextPolicy: { mode: "reject" } },
+    { type: "echo", value: "dropped" }
+  ]);
+
+  assert.equal(rejected.status, 409);
+  assert.equal(rejected.body.ok, false);
+  assert.equal(rejected.body.code, "REJECTED");
+
+  const rejectStatus = await getActorStatus("probe", rejectId);
+  assert.ok(!rejectStatus.body.log.some(e => e.value === "dropped"), "rejected message never ran");
+
+  logStep("STEP 4: A redirect loop stops at the hop limit with 508 REDIRECT_LOOP");
+  const loopId = `redirect-loop-${RUN_ID}`;
+  const [, , looped] = await queueBehindBusy(loopId, [
+    { type: "reply", nextPolicy: { mode: "reject", redirectTo: loopId } },
+    { type: "echo", value: "looping" }
+  ]);
+
+  assert.equal(looped.status, 508);
+  assert.equal(looped.body.code, "REDIRECT_LOOP");
+
+  logStep("STEP 5: Reset router state");
+  await resetRouters("probe", "student");
+}
+
+await run("Redirect test", main);
@@ -0,0 +1,69 @@
+// End-to-end test for dispatch through the actor-type registry.
+//
+// Flow:
+//  1. Both registered bundles (quiz and probe) dispatch by actorType + payload.type.
+//  2. initialMemory fills a new actor's memory next to the generic actorType / actorId fields.
+//  3. Unknown payload types and a missing payload.type fail with 400 UNKNOWN_MESSAGE,
+//     unregistered actorTypes with 404 UNKNOWN_ACTOR_TYPE.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, postActor, resetRouters, run } from "./helpers/http.js";
+
+function resultOf(res) {
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.result.result;
+}
+
+function assertError(res, status, code, error) {
+  assert.equal(res.status, status, JSON.stringify(res.body));
+  assert.equal(res.body.code, code);
+  assert.equal(res.body.error, error);
+}
+
+async function main() {
+  const probeId = `registry-probe-${RUN_ID}`;
+  const studentId = `registry-student-${RUN_ID}`;
+
+  logStep("STEP 1: Each actorType dispatches to its own handlers");
+  const echoed = resultOf(await postActor("probe", probeId, { type: "echo", value: "hi" }));
+  assert.equal(echoed.action, "echo");
+
+  const joined = resultOf(await postActor("student", studentId, { type: "joinRoom", roomId: `registry-room-${RUN_ID}`, name: "Reg" }));
+  assert.equal(joined.action, "joinRoom");
+  assert.equal(joined.studentId, studentId);
+
+  // probe messages do not exist on student
+  const crossed = await postActor("student", studentId, { type: "echo", value: "hi" });
+  assertError(crossed, 400, "UNKNOWN_MESSAGE", "Unknown student payload.type: echo");
+
+  logStep("STEP 2: initialMemory fills a new actor's memory");
+  const memory = (await getActorStatus("probe", probeId)).body;
+  assert.equal(memory.kind, "probe");
+  assert.equal(memory.flakyCalls, 0);
+  assert.equal(memory.actorType, "probe");
+  assert.equal(memory.actorId, probeId);
+  assert.ok(memory.lastActiveAt > 0);
+
+  const student = (await getActorStatus("student", studentId)).body;
+  assert.equal(student.kind, "student");
+  assert.equal(student.totalScore, 0);
+  assert.deepEqual(student.answers, []);
+
+  logStep("STEP 3: Unknown types fail with an error status");
+  const unknownType = await postActor("probe", probeId, { type: "nope" });
+  assertError(unknownType, 400, "UNKNOWN_MESSAGE", "Unknown probe payload.type: nope");
+
+  const missingType = await postActor("probe", probeId, { value: "untyped" });
+  assertError(missingType, 400, "UNKNOWN_MESSAGE", "Missing payload.type for probe");
+
+  const ghost = await postActor(`ghost-${RUN_ID}`, "g1", { type: "echo" });
+  assertError(ghost, 404, "UNKNOWN_ACTOR_TYPE", `Unknown actorType: ghost-${RUN_ID}`);
+
+  const log = (await getActorStatus("probe", probeId)).body.log;
+  assert.equal(log.length, 1, "none of the unknown messages reached a handler");
+
+  logStep("STEP 4: Reset router state");
+  await resetRouters("probe", "student", `ghost-${RUN_ID}`);
+}
+
+await run("Registry test", main);
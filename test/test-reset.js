@@ -0,0 +1,79 @@
+// End-to-end test for /reset-router against queued and paused actors.
+//
+// Flow:
+//  1. Messages wait behind a busy probe; /reset-router fails them with
+//     409 ACTOR_RESET while the running message still completes.
+//  2. An async message dropped by the reset reports failed / ACTOR_RESET
+//     through /message-status.
+//  3. A probe paused by "wait" is released by the reset: the next message runs at once.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getActorEntry, getActorStatus, getJSON, logStep, postActor, postJSON, query, resetRouters, run, waitForQueueLength
+} from "./helpers/http.js";
+
+async function main() {
+  logStep("STEP 1: Reset fails queued callers with ACTOR_RESET, the running message finishes");
+  const busyId = `reset-busy-${RUN_ID}`;
+  const running = postActor("probe", busyId, { type: "sleep", ms: 1500 });
+  await waitForQueueLength("probe", busyId, 1);
+  const queued = [
+    postActor("probe", busyId, { type: "echo", value: "q1" }),
+    postActor("probe", busyId, { type: "echo", value: "q2" })
+  ];
+  await waitForQueueLength("probe", busyId, 3);
+
+  const asyncRes = await postJSON("/invoke?async=1", {
+    actorType: "probe",
+    actorId: busyId,
+    payload: { type: "echo", value: "q3" }
+  });
+  assert.equal(asyncRes.status, 202);
+  const { messageId } = asyncRes.body;
+
+  const entry = await getActorEntry("probe", busyId);
+  assert.equal(entry.busy, true);
+  assert.equal(entry.queueLength, 4, "running message plus three queued");
+
+  const reset = await postJSON("/reset-router", { actorType: "probe" });
+  assert.equal(reset.status, 200);
+  assert.equal(reset.body.ok, true);
+
+  for (const res of await Promise.all(queued)) {
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "ACTOR_RESET");
+  }
+  const finished = await running;
+  assert.equal(finished.status, 200, "the running message is not cut off");
+  assert.equal(finished.body.result.result.action, "sleep");
+
+  logStep("STEP 2: The dropped async message reports ACTOR_RESET");
+  const statusRes = await getJSON(`/message-status${query({ actorType: "probe", messageId })}`);
+  assert.equal(statusRes.status, 200);
+  assert.equal(statusRes.body.status, "failed");
+  assert.equal(statusRes.body.code, "ACTOR_RESET");
+
+  const memory = await getActorStatus("probe", busyId);
+  assert.ok(!(memory.body.log || []).some(e => e.type === "echo"), "no dropped message ran");
+
+  logStep("STEP 3: Reset clears a wait pause");
+  const pausedId = `reset-paused-${RUN_ID}`;
+  await postActor("probe", pausedId, { type: "reply", nextPolicy: { mode: "wait", delayMs: 30000 } });
+  assert.equal((await getActorEntry("probe", pausedId)).paused, true);
+
+  await resetRouters("probe");
+
+  const sentAt = Date.now();
+  const afterReset = await postActor("probe", pausedId, { type: "echo", value: "free" });
+  assert.equal(afterReset.status, 200);
+  assert.ok(Date.now() - sentAt < 5000, "message was not held by the old pause");
+
+  const released = await getActorEntry("probe", pausedId);
+  assert.equal(released.paused, false);
+  assert.equal(released.pausedUntil, null);
+
+  logStep("STEP 4: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Reset test", main);
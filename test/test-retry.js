@@ -0,0 +1,82 @@
+// End-to-end test for retries with backoff on transient Actor DO failures.
+//
+// The probe's `flaky` message makes the Actor DO's /invoke itself fail for the first
+// `failures` calls, which the Router treats like a DO restart.
+//
+// Flow:
+//  1. Two transient failures are retried (default maxAttempts 3) and the caller gets the result.
+//  2. The waits grow as baseDelayMs * 2^(n-1).
+//  3. While backing off, the message heads the queue: later messages wait, and
+//     /message-status shows attempts and lastError.
+//  4. Running out of attempts fails with 502 and dead-letters the message;
+//     handler errors are never retried.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getJSON, logStep, postActor, postJSON, query, resetRouters, run, setPolicy, waitFor
+} from "./helpers/http.js";
+
+async function deadLetter(messageId) {
+  const res = await getJSON(`/dead-letters${query({ actorType: "probe", messageId })}`);
+  assert.equal(res.status, 200);
+  return res.body.deadLetter;
+}
+
+async function main() {
+  logStep("STEP 1: Transient failures are retried until they succeed");
+  const retriedId = `retry-ok-${RUN_ID}`;
+  const retried = await postActor("probe", retriedId, { type: "flaky", failures: 2 });
+  assert.equal(retried.status, 200, JSON.stringify(retried.body));
+  assert.equal(retried.body.result.result.attempts, 3);
+
+  logStep("STEP 2: Backoff doubles from baseDelayMs");
+  const slowId = `retry-backoff-${RUN_ID}`;
+  await setPolicy("probe", { retry: { baseDelayMs: 400, maxDelayMs: 5000 } }, slowId);
+  const startedAt = Date.now();
+  const backedOff = await postActor("probe", slowId, { type: "flaky", failures: 2 });
+  const elapsed = Date.now() - startedAt;
+  assert.equal(backedOff.status, 200);
+  assert.ok(elapsed >= 400 + 800, `waited 400 ms then 800 ms (took ${elapsed} ms)`);
+
+  logStep("STEP 3: A message being retried keeps its place at the head of the queue");
+  const orderId = `retry-order-${RUN_ID}`;
+  await setPolicy("probe", { retry: { baseDelayMs: 1500 } }, orderId);
+  const tracked = await postJSON("/invoke?async=1", {
+    actorType: "probe",
+    actorId: orderId,
+    payload: { type: "flaky", failures: 1 }
+  });
+  assert.equal(tracked.status, 202);
+
+  // the first attempt failed and the message went back to the head of the queue for its backoff
+  const waiting = await waitFor(async () => {
+    const res = await getJSON(`/message-status${query({ actorType: "probe", messageId: tracked.body.messageId })}`);
+    return res.body.lastError && res;
+  }, { intervalMs: 20, message: "the first attempt to fail" });
+  assert.equal(waiting.body.status, "queued");
+  assert.equal(waiting.body.attempts, 1);
+  assert.match(waiting.body.lastError, /Actor DO error/);
+
+  const behind = await postActor("probe", orderId, { type: "echo", value: "behind" });
+  assert.equal(behind.status, 200);
+  assert.equal(behind.body.result.result.count, 3, "the echo ran after both flaky calls");
+
+  logStep("STEP 4: Exhausted retries fail with 502; handler errors are not retried");
+  const exhaustedId = `retry-exhausted-${RUN_ID}`;
+  const exhausted = await postActor("probe", exhaustedId, { type: "flaky", failures: 10 });
+  assert.equal(exhausted.status, 502);
+  assert.equal(exhausted.body.code, "ACTOR_UNAVAILABLE");
+  assert.equal((await deadLetter(exhausted.body.messageId)).attempts, 3);
+
+  const crashed = await postActor("probe", exhaustedId, { type: "fail", unexpected: true });
+  assert.equal(crashed.status, 500);
+  assert.equal(crashed.body.code, "HANDLER_ERROR");
+  assert.equal((await deadLetter(crashed.body.messageId)).attempts, 1);
+
+  logStep("STEP 5: Reset router state");
+  await setPolicy("probe", null, slowId);
+  await setPolicy("probe", null, orderId);
+  await resetRouters("probe");
+}
+
+await run("Retry test", main);
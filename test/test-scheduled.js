@@ -0,0 +1,123 @@
+// End-to-end test for scheduled delivery (/invoke with delayMs / deliverAt) and /scheduled.
+//
+// Flow:
+//  1. delayMs / deliverAt answer 202 with a scheduleId; /scheduled lists the pending messages.
+//  2. /scheduled/cancel removes pending messages and reports unknown ids as notFound.
+//  3. Due messages are delivered in deliverAt order and tracked under their scheduleId
+//     in /message-status; a cancelled one never runs.
+//  4. A deadline that has already passed delivers right away; bad schedules are 400 INVALID_SCHEDULE.
+//  5. With auth on, teachers only see and cancel their own scheduled messages.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  AUTH_SECRET, RUN_ID, assert, getActorStatus, getJSON, logStep, postActor, postJSON, query, resetRouters, run,
+  tokenFor, waitFor
+} from "./helpers/http.js";
+
+function schedule(actorId, value, extra) {
+  return postActor("probe", actorId, { type: "echo", value }, extra);
+}
+
+function listScheduled(actorType, actorId, options) {
+  return getJSON(`/scheduled${query({ actorType, actorId })}`, options);
+}
+
+function cancel(actorType, scheduleIds, options) {
+  return postJSON("/scheduled/cancel", { actorType, scheduleIds }, options);
+}
+
+function assertScheduled(res) {
+  assert.equal(res.status, 202, JSON.stringify(res.body));
+  assert.equal(res.body.mode, "scheduled");
+  assert.ok(res.body.scheduleId);
+  assert.equal(res.body.messageId, res.body.scheduleId);
+  return res.body;
+}
+
+function assertInvalid(res) {
+  assert.equal(res.status, 400, JSON.stringify(res.body));
+  assert.equal(res.body.code, "INVALID_SCHEDULE");
+}
+
+async function main() {
+  const actorId = `sched-${RUN_ID}`;
+
+  logStep("STEP 1: Scheduling and listing");
+  const before = Date.now();
+  const later = assertScheduled(await schedule(actorId, "later", { delayMs: 2000 }));
+  assert.ok(later.deliverAt >= before + 2000 && later.deliverAt <= Date.now() + 2000);
+
+  const soonAt = new Date(Date.now() + 1000).toISOString();
+  const sooner = assertScheduled(await schedule(actorId, "sooner", { deliverAt: soonAt }));
+  assert.equal(sooner.deliverAt, Date.parse(soonAt));
+
+  const cancelled = assertScheduled(await schedule(actorId, "never", { delayMs: 60000 }));
+
+  const listed = await listScheduled("probe", actorId);
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.count, 3);
+  assert.deepEqual(
+    listed.body.scheduled.map(r => [r.scheduleId, r.payload.value]),
+    [[sooner.scheduleId, "sooner"], [later.scheduleId, "later"], [cancelled.scheduleId, "never"]],
+    "sorted by deliverAt"
+  );
+  assert.equal((await getActorStatus("probe", actorId)).body.log, undefined, "nothing delivered yet");
+
+  logStep("STEP 2: Cancelling");
+  const cancelRes = await cancel("probe", [cancelled.scheduleId, "no-such-schedule"]);
+  assert.equal(cancelRes.status, 200);
+  assert.deepEqual(cancelRes.body.cancelled, [cancelled.scheduleId]);
+  assert.deepEqual(cancelRes.body.notFound, ["no-such-schedule"]);
+  assert.equal((await listScheduled("probe", actorId)).body.count, 2);
+  assert.equal((await cancel("probe", [])).status, 400);
+
+  logStep("STEP 3: Delivery in deliverAt order");
+  const done = await waitFor(async () => {
+    const res = await getJSON(`/message-status${query({ actorType: "probe", messageId: later.scheduleId })}`);
+    return res.body.status === "done" && res;
+  }, { message: "the delayed message to be delivered" });
+  assert.equal(done.body.result.result.value, "later");
+  assert.ok(Date.now() >= later.deliverAt);
+
+  const log = (await getActorStatus("probe", actorId)).body.log;
+  assert.deepEqual(log.map(e => e.value), ["sooner", "later"]);
+  assert.ok(log[0].at >= sooner.deliverAt);
+  assert.equal((await listScheduled("probe", actorId)).body.count, 0);
+  assert.deepEqual((await cancel("probe", [later.scheduleId])).body.notFound, [later.scheduleId], "already delivered");
+
+  logStep("STEP 4: Past deadlines and invalid schedules");
+  const immediate = await schedule(actorId, "now", { deliverAt: Date.now() - 1000 });
+  assert.equal(immediate.status, 200, "a past deliverAt is an ordinary ask");
+  assert.equal(immediate.body.result.result.value, "now");
+  assert.equal((await schedule(actorId, "zero", { delayMs: 0 })).status, 200);
+
+  assertInvalid(await schedule(actorId, "both", { delayMs: 100, deliverAt: Date.now() + 100 }));
+  assertInvalid(await schedule(actorId, "negative", { delayMs: -1 }));
+  assertInvalid(await schedule(actorId, "fraction", { delayMs: 1.5 }));
+  assertInvalid(await schedule(actorId, "garbage", { deliverAt: "next tuesday-ish" }));
+  assert.equal((await getJSON("/scheduled")).status, 400, "actorType is required");
+
+  if (AUTH_SECRET) {
+    logStep("STEP 5: Teachers only see their own scheduled messages");
+    const ownerId = `sched-teacher-${RUN_ID}`;
+    const owner = await tokenFor("teacher", ownerId);
+    const other = await tokenFor("teacher", `sched-other-${RUN_ID}`);
+    const roomId = `sched-room-${RUN_ID}`;
+
+    const own = assertScheduled(
+      await postActor("room", roomId, { type: "startCurrentQuestion" }, { delayMs: 60000 }, { token: owner })
+    );
+    assert.equal((await listScheduled("room", roomId, { token: owner })).body.count, 1);
+    assert.equal((await listScheduled("room", roomId, { token: other })).body.count, 0);
+    assert.deepEqual((await cancel("room", [own.scheduleId], { token: other })).body.notFound, [own.scheduleId]);
+    assert.deepEqual((await cancel("room", [own.scheduleId], { token: owner })).body.cancelled, [own.scheduleId]);
+
+    const student = await tokenFor("student", `sched-student-${RUN_ID}`);
+    assert.equal((await listScheduled("room", roomId, { token: student })).status, 403);
+  }
+
+  logStep("STEP 6: Reset router state");
+  await resetRouters("probe", "room");
+}
+
+await run("Scheduled delivery test", main);
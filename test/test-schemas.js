@@ -0,0 +1,69 @@
+// End-to-end test for per-message payload schemas checked by the Router.
+//
+// Flow:
+//  1. Missing, mistyped and out-of-range fields answer 400 INVALID_PAYLOAD with field-level errors.
+//  2. Nested fields report their path (questions[0].questionId); cross-field checks run too.
+//  3. Invalid messages never reach the actor, and actor-to-actor asks are checked the same way.
+//  4. Message types without a schema pass through.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, postActor, resetRouters, run } from "./helpers/http.js";
+
+function assertInvalid(res, expectedErrors) {
+  assert.equal(res.status, 400, JSON.stringify(res.body));
+  assert.equal(res.body.ok, false);
+  assert.equal(res.body.code, "INVALID_PAYLOAD");
+  assert.deepEqual(res.body.errors, expectedErrors);
+}
+
+async function main() {
+  const probeId = `schema-${RUN_ID}`;
+  const teacherId = `schema-teacher-${RUN_ID}`;
+
+  logStep("STEP 1: Field-level errors for probe.sleep");
+  assertInvalid(await postActor("probe", probeId, { type: "sleep" }), [{ field: "ms", message: "is required" }]);
+  assertInvalid(await postActor("probe", probeId, { type: "sleep", ms: "10" }), [{ field: "ms", message: "must be an integer" }]);
+  assertInvalid(await postActor("probe", probeId, { type: "sleep", ms: 60000 }), [{ field: "ms", message: "must be <= 10000" }]);
+
+  logStep("STEP 2: Nested paths and cross-field checks on teacher.createQuestions");
+  const roomId = `schema-room-${RUN_ID}`;
+  assertInvalid(
+    await postActor("teacher", teacherId, { type: "createQuestions", roomId, questions: [{ text: "no id" }] }),
+    [{ field: "questions[0].questionId", message: "is required" }]
+  );
+
+  const crossField = await postActor("teacher", teacherId, {
+    type: "createQuestions",
+    roomId,
+    questions: [{ questionId: "q1", text: "2 + 2?", options: ["3", "4"], correctOption: "D" }]
+  });
+  assert.equal(crossField.status, 400);
+  assert.equal(crossField.body.code, "INVALID_PAYLOAD");
+  assert.equal(crossField.body.errors.length, 1);
+  assert.equal(crossField.body.errors[0].field, "questions[0]");
+
+  logStep("STEP 3: Invalid messages are not queued, also between actors");
+  const status = await getActorStatus("probe", probeId);
+  assert.equal((status.body.log || []).length, 0, "no invalid sleep reached the probe");
+
+  const asked = await postActor("probe", `schema-caller-${RUN_ID}`, {
+    type: "call",
+    actorId: probeId,
+    payload: { type: "sleep", ms: -1 }
+  });
+  assert.equal(asked.status, 200);
+  const response = asked.body.result.result.response;
+  assert.equal(response.ok, false);
+  assert.equal(response.code, "INVALID_PAYLOAD");
+  assert.equal(response.status, 400);
+
+  logStep("STEP 4: Types without a schema are not checked");
+  const echoed = await postActor("probe", probeId, { type: "echo", value: { anything: [1, "two"] } });
+  assert.equal(echoed.status, 200);
+  assert.deepEqual(echoed.body.result.result.value, { anything: [1, "two"] });
+
+  logStep("STEP 5: Reset router state");
+  await resetRouters("probe", "teacher");
+}
+
+await run("Schema test", main);
@@ -0,0 +1,107 @@
+// End-to-end test for the room's scoring rules (src/quiz/scoring.js).
+//
+// Flow:
+//  1. Speed scoring: a correct answer earns points * (1 - (1 - minRatio) * timeUsed / durationMs),
+//     so a fast answer beats a slow one; wrong answers cost wrongPenalty, unanswered ones nothing.
+//  2. A question's own scoring overrides the room's fields; consecutive correct answers
+//     add streakBonus, and a wrong answer breaks the streak.
+//  3. Scores flow into the room's scores / ranking and each student's record.
+//  4. setScoring(null) restores the defaults; invalid rules are 400 INVALID_PAYLOAD.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, postActor, run, sleep, waitFor } from "./helpers/http.js";
+import { finishQuestion, resetQuiz, setupRoom, startQuestion, submitAnswer, viaTeacher } from "./helpers/quiz.js";
+
+const DURATION_MS = 10000;
+
+// points are kept to two decimals
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function speedPoints(points, minRatio, answer, startTime) {
+  const used = Math.min((answer.answeredAt - startTime) / DURATION_MS, 1);
+  return round(points * (1 - (1 - minRatio) * used));
+}
+
+async function main() {
+  const teacherId = `score-teacher-${RUN_ID}`;
+  const roomId = `score-room-${RUN_ID}`;
+  const [q1, q2] = [`score-q1-${RUN_ID}`, `score-q2-${RUN_ID}`];
+  const [fast, slow, wrong, absent] = ["fast", "slow", "wrong", "absent"].map(name => `score-${name}-${RUN_ID}`);
+
+  await setupRoom({
+    teacherId,
+    roomId,
+    questions: [
+      { questionId: q1, text: "Pick A", options: ["A", "B"], correctOption: "A", durationMs: DURATION_MS },
+      {
+        questionId: q2, text: "Pick B", options: ["A", "B"], correctOption: "B", durationMs: DURATION_MS,
+        scoring: { mode: "flat", points: 2 }
+      }
+    ],
+    students: [fast, slow, wrong, absent],
+    scoring: { mode: "speed", streakBonus: 0.1, wrongPenalty: 0.25 }
+  });
+
+  logStep("STEP 1: Speed scoring and negative marking");
+  await startQuestion(teacherId, roomId);
+  assert.equal((await submitAnswer(q1, fast, "A")).status, 200);
+  assert.equal((await submitAnswer(q1, wrong, "B")).status, 200);
+  await sleep(2000);
+  assert.equal((await submitAnswer(q1, slow, "A")).status, 200);
+  const first = await finishQuestion(teacherId, roomId);
+
+  const question = (await getActorStatus("question", q1)).body;
+  const fastPoints = speedPoints(1, 0.5, question.answers[fast], question.startTime);
+  const slowPoints = speedPoints(1, 0.5, question.answers[slow], question.startTime);
+  assert.ok(slowPoints <= 0.9 && slowPoints >= 0.5, `two seconds of ten cost at least 10% (${slowPoints})`);
+  assert.ok(fastPoints > slowPoints, `${fastPoints} > ${slowPoints}`);
+  assert.deepEqual(first.points, { [fast]: fastPoints, [slow]: slowPoints, [wrong]: -0.25 });
+  assert.equal(first.points[absent], undefined, "no answer, no penalty");
+
+  logStep("STEP 2: Per-question override and streak bonus");
+  await startQuestion(teacherId, roomId);
+  assert.equal((await submitAnswer(q2, fast, "B")).status, 200);
+  assert.equal((await submitAnswer(q2, slow, "A")).status, 200);
+  assert.equal((await submitAnswer(q2, wrong, "B")).status, 200);
+  const second = await finishQuestion(teacherId, roomId);
+  assert.deepEqual(second.points, {
+    [fast]: 2.1,  // flat 2 from the question, plus 0.1 for the second correct answer in a row
+    [slow]: -0.25, // wrongPenalty still comes from the room
+    [wrong]: 2     // the wrong answer on q1 broke the streak
+  });
+
+  logStep("STEP 3: Scores, ranking and student records");
+  const scores = {
+    [fast]: round(fastPoints + 2.1),
+    [slow]: round(slowPoints - 0.25),
+    [wrong]: 1.75
+  };
+  assert.equal(second.status, "finished");
+  assert.deepEqual(second.scores, scores);
+  assert.deepEqual(second.ranking.map(r => r.studentId), [fast, wrong, slow]);
+
+  const record = await waitFor(async () => {
+    const student = (await getActorStatus("student", fast)).body;
+    return student.answers.length === 2 && student;
+  }, { message: "both score updates on the student" });
+  assert.equal(record.totalScore, scores[fast]);
+  assert.deepEqual(record.answers.map(a => a.scoreDelta), [fastPoints, 2.1]);
+  assert.ok(record.answers[0].timeUsedMs >= 0 && record.answers[0].timeUsedMs < 2000);
+  assert.deepEqual((await getActorStatus("student", absent)).body.answers, []);
+
+  logStep("STEP 4: Defaults and validation");
+  const reset = await viaTeacher(teacherId, roomId, "setScoring", { scoring: null });
+  assert.deepEqual(reset.scoring, { mode: "flat", points: 1, minRatio: 0.5, streakBonus: 0, wrongPenalty: 0 });
+
+  const invalid = await postActor("teacher", teacherId, { type: "setScoring", roomId, scoring: { mode: "exponential" } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, "INVALID_PAYLOAD");
+  assert.equal(invalid.body.errors[0].field, "scoring.mode");
+
+  logStep("STEP 5: Reset router state");
+  await resetQuiz();
+}
+
+await run("Scoring test", main);
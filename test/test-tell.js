@@ -0,0 +1,73 @@
+// End-to-end test for fire-and-forget tell alongside ask.
+//
+// Flow:
+//  1. POST /invoke with mode "tell" answers 202 with a messageId before the handler runs.
+//  2. tells and asks to one actor keep their FIFO order.
+//  3. ctx.tell inside a handler returns { mode: "tell", messageId } without waiting for the target.
+//  4. Unknown modes are refused with 400.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import { RUN_ID, assert, getActorStatus, logStep, postActor, resetRouters, run, sleep, waitFor } from "./helpers/http.js";
+
+async function logValues(actorId) {
+  const res = await getActorStatus("probe", actorId);
+  return (res.body.log || []).map(e => e.value);
+}
+
+async function main() {
+  logStep("STEP 1: tell returns 202 as soon as the message is queued");
+  const tellId = `tell-basic-${RUN_ID}`;
+  const sentAt = Date.now();
+  const told = await postActor("probe", tellId, { type: "sleep", ms: 1500 }, { mode: "tell" });
+  assert.ok(Date.now() - sentAt < 1000, "did not wait for the handler");
+  assert.equal(told.status, 202);
+  assert.equal(told.body.ok, true);
+  assert.equal(told.body.mode, "tell");
+  assert.equal(told.body.actorKey, `probe:${tellId}`);
+  assert.ok(told.body.messageId);
+
+  await waitFor(async () => (await logValues(tellId)).includes(1500), { message: "the told sleep to run" });
+
+  logStep("STEP 2: tell and ask share the actor's FIFO queue");
+  const orderId = `tell-order-${RUN_ID}`;
+  for (const value of ["t1", "t2", "t3"]) {
+    const res = await postActor("probe", orderId, { type: "echo", value }, { mode: "tell" });
+    assert.equal(res.status, 202);
+  }
+  const asked = await postActor("probe", orderId, { type: "echo", value: "a4" });
+  assert.equal(asked.status, 200);
+  assert.equal(asked.body.result.result.count, 4, "the ask ran after the three tells");
+  assert.deepEqual(await logValues(orderId), ["t1", "t2", "t3", "a4"]);
+
+  logStep("STEP 3: ctx.tell does not wait for the target");
+  const senderId = `tell-sender-${RUN_ID}`;
+  const targetId = `tell-target-${RUN_ID}`;
+  const startedAt = Date.now();
+  const sent = await postActor("probe", senderId, {
+    type: "call",
+    mode: "tell",
+    actorId: targetId,
+    payload: { type: "sleep", ms: 1500 }
+  });
+  assert.equal(sent.status, 200);
+  assert.ok(Date.now() - startedAt < 1500, "sender finished before the target's sleep");
+
+  const response = sent.body.result.result.response;
+  assert.equal(response.ok, true);
+  assert.equal(response.mode, "tell");
+  assert.equal(response.actorKey, `probe:${targetId}`);
+
+  await sleep(100);
+  assert.deepEqual(await logValues(targetId), [], "target is still sleeping");
+  await waitFor(async () => (await logValues(targetId)).includes(1500), { message: "the target to finish" });
+
+  logStep("STEP 4: Unknown modes are refused");
+  const unknown = await postActor("probe", tellId, { type: "echo" }, { mode: "shout" });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.ok, false);
+
+  logStep("STEP 5: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Tell test", main);
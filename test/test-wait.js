@@ -0,0 +1,83 @@
+// End-to-end test for "wait" pauses resumed by Router alarms.
+//
+// Flow:
+//  1. A probe answers { mode: "wait", delayMs }; the next message stays queued
+//     until the pause ends, and /router-status reports the pause meanwhile.
+//  2. Same with an absolute untilMs deadline.
+//  3. "wait" without a deadline only yields; the next message runs right away.
+//
+// Requirements: the Worker running at BASE (default: http://localhost:8787).
+import {
+  RUN_ID, assert, getActorEntry, getActorStatus, logStep, postActor, resetRouters, run, waitForQueueLength
+} from "./helpers/http.js";
+
+const PAUSE_MS = 2000;
+
+/**
+ * Sends a wait reply, then an echo right behind it; returns the pause deadline
+ * reported by the router and how long the echo took
+ */
+async function pauseThenEcho(actorId, nextPolicy) {
+  const waited = await postActor("probe", actorId, { type: "reply", nextPolicy });
+  assert.equal(waited.status, 200, JSON.stringify(waited.body));
+
+  const entry = await getActorEntry("probe", actorId);
+
+  const sentAt = Date.now();
+  const echoed = await postActor("probe", actorId, { type: "echo", value: "after-pause" });
+  const tookMs = Date.now() - sentAt;
+
+  assert.equal(echoed.status, 200, JSON.stringify(echoed.body));
+  assert.equal(echoed.body.result.result.value, "after-pause");
+  return { entry, tookMs };
+}
+
+async function main() {
+  logStep("STEP 1: wait with delayMs pauses the queue until the alarm resumes it");
+  const delayId = `wait-delay-${RUN_ID}`;
+  const startedAt = Date.now();
+  const delayed = await pauseThenEcho(delayId, { mode: "wait", delayMs: PAUSE_MS });
+
+  assert.equal(delayed.entry.paused, true, "router-status shows the pause");
+  assert.ok(delayed.entry.pausedUntil >= startedAt + PAUSE_MS, "pausedUntil is the resume deadline");
+  // the echo was sent a little after the reply returned, so allow for that part of the pause
+  assert.ok(delayed.tookMs >= PAUSE_MS - 500, `echo waited for the pause (${delayed.tookMs} ms)`);
+
+  const resumed = await getActorEntry("probe", delayId);
+  assert.equal(resumed.paused, false);
+  assert.equal(resumed.pausedUntil, null, "pause is cleared after resuming");
+
+  logStep("STEP 2: wait with untilMs pauses until that timestamp");
+  const untilId = `wait-until-${RUN_ID}`;
+  const untilMs = Date.now() + PAUSE_MS;
+  const until = await pauseThenEcho(untilId, { mode: "wait", untilMs });
+
+  assert.equal(until.entry.pausedUntil, untilMs);
+  const status = await getActorStatus("probe", untilId);
+  const echoEntry = status.body.log.find(e => e.value === "after-pause");
+  assert.ok(echoEntry.at >= untilMs, "echo ran after untilMs");
+
+  logStep("STEP 3: wait without a deadline only yields");
+  const yieldId = `wait-yield-${RUN_ID}`;
+  const yielded = await pauseThenEcho(yieldId, { mode: "wait" });
+
+  assert.equal(yielded.entry.paused, false);
+  assert.ok(yielded.tookMs < PAUSE_MS, `echo was not held back (${yielded.tookMs} ms)`);
+
+  logStep("STEP 4: Messages queued during a pause keep their order");
+  const orderId = `wait-order-${RUN_ID}`;
+  await postActor("probe", orderId, { type: "reply", nextPolicy: { mode: "wait", delayMs: 1000 } });
+  const pending = [];
+  for (const value of ["x", "y", "z"]) {
+    pending.push(postActor("probe", orderId, { type: "echo", value }));
+    await waitForQueueLength("probe", orderId, pending.length);
+  }
+  const replies = await Promise.all(pending);
+  assert.deepEqual(replies.map(r => r.status), [200, 200, 200]);
+  assert.deepEqual(replies.map(r => r.body.result.result.count), [2, 3, 4]);
+
+  logStep("STEP 5: Reset router state");
+  await resetRouters("probe");
+}
+
+await run("Wait test", main);